@@ -1,9 +1,84 @@
-import type { Collection, Db } from 'mongodb'
+import { EventEmitter } from 'events'
+import type { Collection, Db, ReadConcernLike, ReadPreferenceLike, WriteConcern, WriteConcernSettings } from 'mongodb'
 
 export interface MongoStorageInvalidationOptions {
+  /**
+   * TTL in seconds for reference documents, independent of value TTLs (0 = no expiry).
+   * When omitted, reference documents live as long as the longest-lived value pointing to them.
+   */
   referencesTTL?: number
 }
 
+export interface MongoStorageL1Options {
+  /** Maximum number of L1 entries. Defaults to `1000`. */
+  max?: number
+  /** Maximum L1 entry lifetime in seconds, which bounds staleness. Defaults to `10`. */
+  ttl?: number
+  /** Evict L1 entries on events from peers, through `watch()`. Defaults to `true`. */
+  sync?: boolean
+}
+
+export interface MongoStorageCodec {
+  /** Name recorded on documents written with this codec. Must not be a built-in codec name. */
+  name: string
+  serialize(value: any): any
+  /** Receives the stored payload; binary payloads come back as BSON `Binary`. */
+  deserialize(data: any): any
+}
+
+export interface MongoStorageCompressionOptions {
+  /** Defaults to `'gzip'`. */
+  algorithm?: 'gzip' | 'deflate' | 'brotli'
+  /** Encoded values smaller than this many bytes are stored uncompressed. Defaults to `1024`. */
+  threshold?: number
+  /** Compression level, or quality for brotli. */
+  level?: number
+}
+
+export interface MongoStorageFailOpenOptions {
+  /** Consecutive failures that open the circuit. Defaults to `5`. */
+  threshold?: number
+  /** Milliseconds before probing MongoDB again. Defaults to `30000`. */
+  cooldown?: number
+}
+
+export interface MongoStorageLogger {
+  warn(obj: object, msg?: string): void
+}
+
+export type MongoStorageBreakerState = 'closed' | 'open' | 'halfOpen'
+
+export interface MongoStorageBreakerStateChange {
+  state: MongoStorageBreakerState
+  previousState: MongoStorageBreakerState
+  failures: number
+}
+
+export interface MongoStorageOperationSettings<T> {
+  /** `get`, `getWithStatus`, `getMany`, `exists`, `getTTL`, `inspect` and `listNamespaces`. */
+  read?: T
+  /** `set`, `setMany` and `refresh`. */
+  write?: T
+  /** `invalidate`, `remove`, `removeMany`, `clear` and `clearNamespace`. */
+  invalidate?: T
+}
+
+export interface MongoStorageRetryOptions {
+  /** Attempts after the first one. Defaults to `2`. */
+  retries?: number
+  /** Minimum delay in milliseconds before a retry. Defaults to `50`. */
+  minDelay?: number
+  /** Maximum delay in milliseconds before a retry. Defaults to `1000`. */
+  maxDelay?: number
+}
+
+export interface MongoStorageRetryEvent {
+  operation: string
+  /** Number of the retry, starting at 1. */
+  attempt: number
+  err: Error
+}
+
 export interface MongoStorageOptions {
   /** MongoDB collection instance. Required if `db` is not provided. */
   collection?: Collection
@@ -11,19 +86,289 @@ export interface MongoStorageOptions {
   db?: Db
   /** Collection name when `db` is provided. Defaults to `'cache'`. */
   collectionName?: string
-  /** Invalidation configuration. */
+  /** Invalidation configuration. `false` disables reference tracking. Defaults to `true`. */
   invalidation?: MongoStorageInvalidationOptions | boolean
+  /** Scope keys, references, invalidation and `clear()` to a namespace. Must not contain `:`. */
+  namespace?: string
+  /**
+   * How references are stored. `'embedded'` keeps one document per reference with a `keys` array;
+   * `'pair'` keeps one document per reference/key pair and scales to any fan-out. Defaults to `'embedded'`.
+   */
+  referenceLayout?: 'embedded' | 'pair'
+  /** Keys and reference documents deleted per batch when invalidating. Defaults to `1000`. */
+  invalidationBatchSize?: number
+  /** Pause in milliseconds between invalidation batches. Defaults to `0`. */
+  invalidationThrottle?: number
+  /** Publish `remove`, `invalidate` and `clear` events for `watch()`. Defaults to `false`. */
+  publishEvents?: boolean
+  /** Degrade to misses and no-ops when MongoDB is unavailable, behind a circuit breaker. */
+  failOpen?: MongoStorageFailOpenOptions | boolean
+  /** Receives errors ignored in fail-open mode. Defaults to `console`. */
+  logger?: MongoStorageLogger
+  /** Timeouts in milliseconds of MongoDB commands per kind of operation. Disabled by default. */
+  timeouts?: MongoStorageOperationSettings<number>
+  /** Read preference per kind of operation. Invalidations always read from the primary. */
+  readPreference?: MongoStorageOperationSettings<ReadPreferenceLike>
+  /** Read concern per kind of operation. */
+  readConcern?: MongoStorageOperationSettings<ReadConcernLike>
+  /** Write concern per kind of operation. Invalidations are always acknowledged. */
+  writeConcern?: MongoStorageOperationSettings<WriteConcern | WriteConcernSettings>
+  /** Retry operations failing with a transient error, with exponential backoff and jitter. Disabled by default. */
+  retry?: MongoStorageRetryOptions | boolean
+  /** Upper bounds in seconds of the latency histograms reported by `metrics()`. */
+  latencyBuckets?: number[]
+  /** In-process LRU in front of MongoDB. Implies `publishEvents`. */
+  l1?: MongoStorageL1Options | boolean
+  /** Value codec, recorded per document. Defaults to `'bson'`. */
+  serializer?: 'bson' | 'json' | 'v8' | MongoStorageCodec
+  /** Compress encoded values above a size threshold. Disabled by default. */
+  compression?: 'gzip' | 'deflate' | 'brotli' | MongoStorageCompressionOptions | boolean
+  /**
+   * Encoded values larger than this many bytes are split across chunk documents (`0` = never).
+   * Defaults to 8MB; at most 15MB.
+   */
+  chunkSize?: number
+  /** Run `pruneReferences()` every N seconds. Disabled by default. */
+  pruneInterval?: number
+  /** Push back the expiry of values by their TTL when they are read. Defaults to `false`. */
+  slidingExpiration?: boolean
+  /** Bring expiry forward by a random fraction of the TTL of up to this much (0 to 1). Defaults to `0`. */
+  ttlJitter?: number
+  /** TTL rules keyed by key pattern (`*` wildcards); the first matching pattern applies. */
+  ttlPolicies?: Record<string, MongoStorageTTLPolicy>
+  /** Maximum number of values, enforced by `evict()`. */
+  maxEntries?: number
+  /** Maximum total size in bytes of the encoded values, enforced by `evict()`. */
+  maxBytes?: number
+  /** Values evicted first: least recently or least often read. Defaults to `'lru'`. */
+  evictionPolicy?: 'lru' | 'lfu'
+  /** Run `evict()` every N seconds when a limit is set (0 = never). Defaults to `60`. */
+  evictionInterval?: number
+  /** Create indexes on construction. Defaults to `true`. */
+  autoIndex?: boolean
+}
+
+export interface MongoStorageIndexStatus {
+  name: string
+  key: Record<string, number>
+  exists: boolean
+  valid: boolean
+  problems: string[]
+}
+
+export interface MongoStorageIndexReport {
+  ok: boolean
+  indexes: MongoStorageIndexStatus[]
+}
+
+export interface MongoStoragePruneResult {
+  scanned: number
+  keysPruned: number
+  referencesDeleted: number
+  /** Orphaned chunk documents deleted. */
+  chunksDeleted: number
+}
+
+export interface MongoStorageEvictResult {
+  /** Number of value documents deleted. */
+  values: number
+  /** Number of reference (or reference/key pair) documents deleted. */
+  references: number
+  /** Encoded bytes freed. */
+  bytes: number
+}
+
+export interface MongoStorageDeleteResult {
+  /** Number of value documents deleted. */
+  values: number
+  /** Number of reference (or reference/key pair) documents deleted. */
+  references: number
+}
+
+export interface MongoStorageInvalidateOptions {
+  /** Only report what would be deleted. */
+  dryRun?: boolean
+  /** Override `invalidationBatchSize` for this call. */
+  batchSize?: number
+  /** Override `invalidationThrottle` for this call. */
+  throttle?: number
+}
+
+export interface MongoStorageInvalidateProgress {
+  /** Reference or pattern being invalidated. */
+  reference: string
+  /** Number of batches deleted so far. */
+  batches: number
+  /** Value documents deleted so far. */
+  values: number
+  /** Reference documents deleted so far. */
+  references: number
+}
+
+export interface MongoStorageDryRunResult extends MongoStorageDeleteResult {
+  /** Cache keys referenced by the matching references. */
+  keys: string[]
+}
+
+export interface MongoStorageWatchOptions {
+  /** Resume token to start after, e.g. a persisted `watcher.resumeToken`. */
+  resumeAfter?: unknown
+  /** Delay in milliseconds before reopening a failed change stream. Defaults to `1000`. */
+  retryDelay?: number
+}
+
+export interface MongoStorageWatchEvent {
+  /** Affected cache keys. */
+  keys: string[]
+  /** Affected references (or invalidated patterns). */
+  references: string[]
+  /** Whether `keys` lists only part of the affected keys. */
+  truncated: boolean
+  /** Change stream resume token of this event. */
+  token: unknown
+}
+
+export interface CacheWatcher extends EventEmitter {
+  /** Resume token of the last event seen. */
+  resumeToken: unknown
+  closed: boolean
+
+  on(event: 'set' | 'remove' | 'invalidate' | 'clear', listener: (event: MongoStorageWatchEvent) => void): this
+  on(event: 'error', listener: (error: Error) => void): this
+  close(): Promise<void>
+}
+
+export interface MongoStorageTTLPolicy {
+  /** Replaces the TTL given to `set()` (0 = no expiry). */
+  ttl?: number
+  /** Lower bound in seconds; TTLs without expiry are left alone. */
+  min?: number
+  /** Upper bound in seconds, also applied to TTLs without expiry. */
+  max?: number
+}
+
+export interface MongoStorageSetOptions {
+  /** Seconds the value stays fresh. Afterwards it is served as stale until `ttl` expires it. */
+  softTTL?: number
+  /** Push back the expiry by `ttl` whenever the value is read. Defaults to the `slidingExpiration` option. */
+  slidingExpiration?: boolean
+}
+
+export interface MongoStorageEntry extends MongoStorageSetOptions {
+  key: string
+  value: any
+  ttl: number
+  references?: string[]
 }
 
-export declare class MongoStorage {
+export interface MongoStorageStatusResult {
+  value: any
+  status: 'fresh' | 'stale' | 'miss'
+}
+
+export interface MongoStorageEntryDetails {
+  key: string
+  /** Stored `_id`, including prefixes and key hashing. */
+  id: string
+  value: any
+  status: 'fresh' | 'stale' | 'expired'
+  createdAt: Date
+  expireAt: Date | null
+  freshUntil: Date | null
+  /** Remaining TTL in seconds, 0 if no expiry. */
+  ttl: number
+  /** Stored size in bytes, including chunks. */
+  size: number
+  codec: string
+  compression: string | null
+  /** Number of chunk documents, 0 if not chunked. */
+  chunks: number
+  references: string[]
+}
+
+export interface MongoStorageWaitOptions {
+  /** Maximum wait in milliseconds. Defaults to `5000`. */
+  timeout?: number
+  /** Delay in milliseconds between polls. Defaults to `50`. */
+  interval?: number
+}
+
+export interface MongoStorageLatencyHistogram {
+  count: number
+  /** Total duration in seconds. */
+  sum: number
+  /** Cumulative counts per upper bound in seconds. */
+  buckets: Array<{ le: number, count: number }>
+}
+
+export interface MongoStorageMetrics {
+  hits: number
+  misses: number
+  staleHits: number
+  l1Hits: number
+  hitRatio: number
+  sets: number
+  removes: number
+  invalidations: number
+  invalidatedValues: number
+  invalidatedReferences: number
+  /** Attempts made again after a transient error. */
+  retries: number
+  /** Values evicted to meet capacity limits. */
+  evictions: number
+  /** Failed calls per operation. */
+  errors: Record<string, number>
+  latency: Record<string, MongoStorageLatencyHistogram>
+}
+
+export interface PrometheusOptions {
+  /** Metric name prefix. Defaults to `'mongo_cache'`. */
+  prefix?: string
+  /** Labels added to every sample. */
+  labels?: Record<string, string>
+}
+
+export declare function toPrometheus(snapshot: MongoStorageMetrics, options?: PrometheusOptions): string
+
+export declare class MongoStorage extends EventEmitter {
   constructor(options: MongoStorageOptions)
 
+  on(event: 'invalidateProgress', listener: (progress: MongoStorageInvalidateProgress) => void): this
+  on(event: 'breakerStateChange', listener: (change: MongoStorageBreakerStateChange) => void): this
+  on(event: 'retry', listener: (event: MongoStorageRetryEvent) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+
+  static create(options: MongoStorageOptions): Promise<MongoStorage>
+
+  ready(): Promise<void>
+  ensureIndexes(): Promise<string[]>
+  checkIndexes(): Promise<MongoStorageIndexReport>
+
   get(key: string): Promise<any>
-  set(key: string, value: any, ttl: number, references?: string | string[]): Promise<void>
-  remove(key: string): Promise<void>
-  invalidate(references: string | string[]): Promise<void>
-  clear(): Promise<void>
+  getWithStatus(key: string): Promise<MongoStorageStatusResult>
+  set(key: string, value: any, ttl: number, references?: string | string[], options?: MongoStorageSetOptions): Promise<void>
+  remove(key: string): Promise<MongoStorageDeleteResult>
+  getMany(keys: string[]): Promise<any[]>
+  setMany(entries: MongoStorageEntry[]): Promise<void>
+  removeMany(keys: string[]): Promise<MongoStorageDeleteResult>
+  invalidate(references: string | string[], options: MongoStorageInvalidateOptions & { dryRun: true }): Promise<MongoStorageDryRunResult>
+  invalidate(references: string | string[], options?: MongoStorageInvalidateOptions): Promise<MongoStorageDeleteResult>
+  clear(): Promise<MongoStorageDeleteResult>
+  listNamespaces(): Promise<string[]>
+  clearNamespace(namespace: string): Promise<MongoStorageDeleteResult>
   refresh(key: string, ttl: number): Promise<void>
+  pruneReferences(): Promise<MongoStoragePruneResult>
+  evict(): Promise<MongoStorageEvictResult>
+  watch(options?: MongoStorageWatchOptions): CacheWatcher
+  close(): Promise<void>
   getTTL(key: string): Promise<number>
   exists(key: string): Promise<boolean>
+  inspect(key: string): Promise<MongoStorageEntryDetails | null>
+  /** Resolves a lease token, or null if another caller holds the lease. */
+  acquireLease(key: string, ttl: number): Promise<string | null>
+  releaseLease(key: string, token: string): Promise<boolean>
+  waitForValue(key: string, options?: MongoStorageWaitOptions): Promise<any>
+  metrics(): MongoStorageMetrics
+  /** State of the fail-open circuit breaker, or null when `failOpen` is disabled. */
+  readonly breakerState: MongoStorageBreakerState | null
 }
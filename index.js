@@ -1,7 +1,9 @@
 'use strict'
 
 const MongoStorage = require('./lib/storage')
+const { toPrometheus } = require('./lib/metrics')
 
 module.exports = {
-  MongoStorage
+  MongoStorage,
+  toPrometheus
 }
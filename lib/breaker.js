@@ -0,0 +1,161 @@
+'use strict'
+
+const { MongoOperationTimeoutError, MongoServerError } = require('mongodb')
+const { isTransientError } = require('./retry')
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'halfOpen'
+}
+
+/**
+ * Error thrown instead of calling MongoDB while the circuit breaker is open.
+ */
+class CircuitOpenError extends Error {
+  constructor () {
+    super('Circuit breaker is open')
+    this.name = 'CircuitOpenError'
+  }
+}
+
+/**
+ * Check whether an error means MongoDB could not serve the operation, as opposed to
+ * an error of the operation itself, such as a duplicate key or an invalid option.
+ * @param {Error} err - Operation error
+ * @returns {boolean} True for network, server selection, failover and timeout errors,
+ *   and open-circuit rejections
+ */
+function isUnavailableError (err) {
+  return isTransientError(err) ||
+    err instanceof MongoOperationTimeoutError ||
+    (err instanceof MongoServerError && err.code === 50) || // MaxTimeMSExpired
+    err instanceof CircuitOpenError
+}
+
+/**
+ * Consecutive-failure circuit breaker.
+ * After `threshold` consecutive failures the circuit opens and calls are rejected
+ * without being attempted. Once `cooldown` has elapsed, a single probe call is let
+ * through (half-open): its success closes the circuit, its failure opens it again.
+ *
+ * @class CircuitBreaker
+ */
+class CircuitBreaker {
+  /**
+   * Creates a CircuitBreaker instance.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.threshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldown=30000] - Milliseconds before probing an open circuit
+   * @param {Function} [onStateChange] - Called with (state, previousState) on every transition
+   */
+  constructor (options = {}, onStateChange = () => {}) {
+    this.threshold = options.threshold ?? 5
+    this.cooldown = options.cooldown ?? 30000
+
+    if (!Number.isInteger(this.threshold) || this.threshold <= 0) {
+      throw new Error('failOpen.threshold must be a positive integer')
+    }
+    if (typeof this.cooldown !== 'number' || !(this.cooldown >= 0)) {
+      throw new Error('failOpen.cooldown must be a non-negative number')
+    }
+
+    this.onStateChange = onStateChange
+    this.state = STATES.CLOSED
+    this.failures = 0
+    this.openedAt = null
+    this._probing = false
+  }
+
+  /**
+   * Run a call through the breaker.
+   * Only unavailability errors count as failures; other errors leave the state unchanged.
+   *
+   * @param {Function} fn - Call to attempt
+   * @returns {Promise<*>} Result of the call
+   * @throws {CircuitOpenError} When the circuit is open
+   */
+  async run (fn) {
+    const probe = this._acquire()
+
+    try {
+      const result = await fn()
+      this._onSuccess()
+      return result
+    } catch (err) {
+      if (isUnavailableError(err)) {
+        this._onFailure()
+      }
+      throw err
+    } finally {
+      if (probe) {
+        this._probing = false
+      }
+    }
+  }
+
+  /**
+   * Let a call through or reject it, moving an open circuit to half-open after the cooldown.
+   * @private
+   * @returns {boolean} True if the call is the half-open probe
+   */
+  _acquire () {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldown) {
+      this._transition(STATES.HALF_OPEN)
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return false
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this._probing) {
+      this._probing = true
+      return true
+    }
+
+    throw new CircuitOpenError()
+  }
+
+  /**
+   * Record a successful call.
+   * @private
+   */
+  _onSuccess () {
+    this.failures = 0
+    if (this.state !== STATES.CLOSED) {
+      this.openedAt = null
+      this._transition(STATES.CLOSED)
+    }
+  }
+
+  /**
+   * Record a failed call.
+   * @private
+   */
+  _onFailure () {
+    this.failures++
+    if (this.state === STATES.HALF_OPEN || (this.state === STATES.CLOSED && this.failures >= this.threshold)) {
+      this.openedAt = Date.now()
+      this._transition(STATES.OPEN)
+    }
+  }
+
+  /**
+   * Change state and notify.
+   * @private
+   * @param {string} state - New state
+   */
+  _transition (state) {
+    const previousState = this.state
+    this.state = state
+    this.onStateChange(state, previousState)
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  isUnavailableError,
+  STATES
+}
@@ -0,0 +1,156 @@
+'use strict'
+
+const v8 = require('v8')
+const { BSON } = require('mongodb')
+
+/**
+ * Convert a stored binary payload to a Buffer.
+ * The driver returns BSON Binary values, whose bytes are exposed on `buffer`.
+ * @param {Buffer|Uint8Array|Object} value - Stored payload
+ * @returns {Buffer} Payload bytes
+ */
+function toBuffer (value) {
+  if (Buffer.isBuffer(value)) {
+    return value
+  }
+  const bytes = value instanceof Uint8Array ? value : value.buffer
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+/**
+ * Describe how a codec output is turned into bytes.
+ * Strings and binary payloads are used as bytes directly; anything else is
+ * wrapped in a BSON document so BSON types survive the round trip.
+ * @param {*} payload - Codec output
+ * @returns {string} 'string', 'binary' or 'bson'
+ */
+function payloadFormat (payload) {
+  if (typeof payload === 'string') {
+    return 'string'
+  }
+  if (payload instanceof Uint8Array) {
+    return 'binary'
+  }
+  return 'bson'
+}
+
+/**
+ * Size in bytes of a codec output once converted with toBytes(), without converting it.
+ * @param {*} payload - Codec output
+ * @param {string} format - Payload format, see payloadFormat()
+ * @returns {number} Size in bytes
+ */
+function payloadSize (payload, format) {
+  if (format === 'string') {
+    return Buffer.byteLength(payload)
+  }
+  if (format === 'binary') {
+    return payload.byteLength
+  }
+  return BSON.calculateObjectSize({ value: payload })
+}
+
+/**
+ * Convert a codec output to bytes.
+ * @param {*} payload - Codec output
+ * @param {string} format - Payload format, see payloadFormat()
+ * @returns {Uint8Array} Payload bytes
+ */
+function toBytes (payload, format) {
+  if (format === 'string') {
+    return Buffer.from(payload)
+  }
+  if (format === 'binary') {
+    return payload
+  }
+  // js-bson serializes into a 17MB buffer by default; values to be chunked can be larger
+  const doc = { value: payload }
+  return BSON.serialize(doc, { minInternalBufferSize: BSON.calculateObjectSize(doc) })
+}
+
+/**
+ * Restore a codec output from the bytes produced by toBytes().
+ * @param {Buffer} bytes - Payload bytes
+ * @param {string} format - Payload format, see payloadFormat()
+ * @returns {*} Codec output
+ */
+function fromBytes (bytes, format) {
+  if (format === 'string') {
+    return bytes.toString()
+  }
+  if (format === 'binary') {
+    return bytes
+  }
+  return BSON.deserialize(bytes).value
+}
+
+/**
+ * Built-in value codecs.
+ * - bson: stores the value as-is, as a BSON field (default, not recorded on documents)
+ * - json: stores a JSON string, avoiding restrictions on `$` and `.` in nested keys
+ * - v8: stores `v8.serialize()` output, preserving Map, Set, BigInt, Date and undefined
+ */
+const CODECS = {
+  bson: {
+    name: 'bson',
+    serialize: (value) => value,
+    deserialize: (value) => value
+  },
+  json: {
+    name: 'json',
+    serialize: (value) => JSON.stringify(value),
+    // JSON has no undefined: JSON.stringify(undefined) leaves no payload (null once stored)
+    deserialize: (value) => value == null ? undefined : JSON.parse(value)
+  },
+  v8: {
+    name: 'v8',
+    serialize: (value) => v8.serialize(value),
+    deserialize: (value) => v8.deserialize(toBuffer(value))
+  }
+}
+
+/**
+ * Check whether a name belongs to a built-in codec.
+ * @param {string} name - Codec name
+ * @returns {boolean} True for built-in codecs
+ */
+function isBuiltin (name) {
+  return Object.prototype.hasOwnProperty.call(CODECS, name)
+}
+
+/**
+ * Resolve the serializer option into a codec.
+ *
+ * @param {string|Object} serializer - Built-in codec name or custom `{ name, serialize, deserialize }`
+ * @returns {{name: string, serialize: Function, deserialize: Function}} Codec
+ */
+function resolveCodec (serializer) {
+  if (typeof serializer === 'string') {
+    if (!isBuiltin(serializer)) {
+      throw new Error(`serializer must be one of: ${Object.keys(CODECS).join(', ')}, or a custom codec`)
+    }
+    return CODECS[serializer]
+  }
+
+  if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+    throw new Error('custom serializer must provide serialize and deserialize functions')
+  }
+  if (typeof serializer.name !== 'string' || serializer.name.length === 0) {
+    throw new Error('custom serializer must have a name')
+  }
+  if (isBuiltin(serializer.name)) {
+    throw new Error(`custom serializer name "${serializer.name}" is reserved`)
+  }
+
+  return serializer
+}
+
+module.exports = {
+  CODECS,
+  resolveCodec,
+  toBuffer,
+  payloadFormat,
+  payloadSize,
+  toBytes,
+  fromBytes
+}
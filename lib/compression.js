@@ -0,0 +1,109 @@
+'use strict'
+
+const zlib = require('zlib')
+const { promisify } = require('util')
+const { toBuffer, payloadFormat, payloadSize, toBytes, fromBytes } = require('./codecs')
+
+// Encoded payloads smaller than this (in bytes, before compression) are stored uncompressed by default
+const DEFAULT_THRESHOLD = 1024
+
+const ALGORITHMS = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    levelOptions: (level) => ({ level })
+  },
+  deflate: {
+    compress: promisify(zlib.deflate),
+    decompress: promisify(zlib.inflate),
+    levelOptions: (level) => ({ level })
+  },
+  brotli: {
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    levelOptions: (level) => ({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } })
+  }
+}
+
+/**
+ * Resolve the compression option.
+ *
+ * @param {string|Object|boolean} [compression] - Algorithm name, or `{ algorithm, threshold, level }`
+ * @returns {{algorithm: string, threshold: number, options: Object}|null} Settings, or null when disabled
+ */
+function resolveCompression (compression) {
+  if (compression === undefined || compression === false) {
+    return null
+  }
+
+  const settings = typeof compression === 'string'
+    ? { algorithm: compression }
+    : compression === true ? {} : compression
+
+  const algorithm = settings.algorithm ?? 'gzip'
+  if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, algorithm)) {
+    throw new Error(`compression.algorithm must be one of: ${Object.keys(ALGORITHMS).join(', ')}`)
+  }
+
+  const threshold = settings.threshold ?? DEFAULT_THRESHOLD
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error('compression.threshold must be a non-negative integer')
+  }
+
+  let options = {}
+  if (settings.level !== undefined) {
+    if (!Number.isInteger(settings.level)) {
+      throw new Error('compression.level must be an integer')
+    }
+    options = ALGORITHMS[algorithm].levelOptions(settings.level)
+  }
+
+  return { algorithm, threshold, options }
+}
+
+/**
+ * Compress an encoded payload when it reaches the threshold.
+ * The payload is converted to bytes as described in payloadFormat(). Payloads that do not
+ * shrink, such as already compressed data, are left uncompressed.
+ *
+ * @param {*} payload - Codec output
+ * @param {{algorithm: string, threshold: number, options: Object}} settings - Resolved compression settings
+ * @returns {Promise<{data: Buffer, compression: {algorithm: string, format: string}}|null>} Compressed
+ *   payload and the marker to store with it, or null when it stays uncompressed
+ */
+async function compress (payload, settings) {
+  const format = payloadFormat(payload)
+  const size = payloadSize(payload, format)
+  if (size < settings.threshold) {
+    return null
+  }
+
+  const data = await ALGORITHMS[settings.algorithm].compress(toBytes(payload, format), settings.options)
+  if (data.byteLength >= size) {
+    return null
+  }
+  return { data, compression: { algorithm: settings.algorithm, format } }
+}
+
+/**
+ * Restore the codec output from a compressed payload.
+ *
+ * @param {Buffer|Object} data - Stored payload, a Buffer or BSON Binary
+ * @param {{algorithm: string, format: string}} compression - Marker stored with the payload
+ * @returns {Promise<*>} Codec output
+ */
+async function decompress (data, compression) {
+  if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, compression.algorithm)) {
+    throw new Error(`Unknown compression algorithm "${compression.algorithm}"`)
+  }
+
+  const bytes = await ALGORITHMS[compression.algorithm].decompress(toBuffer(data))
+  return fromBytes(bytes, compression.format)
+}
+
+module.exports = {
+  ALGORITHMS,
+  resolveCompression,
+  compress,
+  decompress
+}
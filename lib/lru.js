@@ -0,0 +1,113 @@
+'use strict'
+
+/**
+ * Size- and time-bounded in-memory LRU cache.
+ * Used as the optional L1 tier in front of MongoDB.
+ *
+ * @class LRUCache
+ */
+class LRUCache {
+  /**
+   * Creates an LRUCache instance.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.max=1000] - Maximum number of entries
+   * @param {number} [options.ttl=10] - Maximum lifetime of an entry in seconds
+   */
+  constructor (options = {}) {
+    this.max = options.max ?? 1000
+    this.ttl = options.ttl ?? 10
+
+    if (!Number.isInteger(this.max) || this.max <= 0) {
+      throw new Error('max must be a positive integer')
+    }
+    if (typeof this.ttl !== 'number' || !(this.ttl > 0)) {
+      throw new Error('ttl must be a positive number')
+    }
+
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map()
+  }
+
+  /**
+   * Number of entries, including expired ones not yet evicted.
+   * @returns {number} Entry count
+   */
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+   * Get a live entry and mark it as most recently used.
+   *
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined if missing or expired
+   */
+  get (key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+
+    if (entry.expireAt <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Check whether a live entry exists, without changing its recency.
+   *
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key is cached and not expired
+   */
+  has (key) {
+    const entry = this.entries.get(key)
+    return entry !== undefined && entry.expireAt > Date.now()
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full.
+   * The entry lives for the cache ttl, or less when the value itself expires sooner.
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {Date|null} [expireAt] - Expiration date of the value itself
+   */
+  set (key, value, expireAt) {
+    let entryExpireAt = Date.now() + this.ttl * 1000
+    if (expireAt && expireAt.getTime() < entryExpireAt) {
+      entryExpireAt = expireAt.getTime()
+    }
+
+    this.entries.delete(key)
+    this.entries.set(key, { value, expireAt: entryExpireAt })
+
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete (key) {
+    return this.entries.delete(key)
+  }
+
+  /**
+   * Remove all entries.
+   */
+  clear () {
+    this.entries.clear()
+  }
+}
+
+module.exports = LRUCache
@@ -0,0 +1,183 @@
+'use strict'
+
+// Latency histogram buckets in seconds, from sub-millisecond reads to slow invalidations
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const COUNTERS = {
+  hits: 'Cache reads that found a value',
+  misses: 'Cache reads that found no value',
+  staleHits: 'Cache reads that found a value past its soft TTL',
+  l1Hits: 'Cache reads served by the in-process L1',
+  sets: 'Values written',
+  removes: 'Keys removed',
+  invalidations: 'Invalidation calls',
+  invalidatedValues: 'Value documents deleted by invalidation',
+  invalidatedReferences: 'Reference documents deleted by invalidation',
+  retries: 'Operations attempted again after a transient error',
+  evictions: 'Values evicted to meet capacity limits'
+}
+
+/**
+ * In-memory counters and latency histograms of a MongoStorage instance.
+ *
+ * @class Metrics
+ */
+class Metrics {
+  /**
+   * Creates a Metrics instance.
+   *
+   * @param {Object} [options] - Configuration options
+   * @param {Array<number>} [options.buckets] - Latency histogram upper bounds in seconds
+   */
+  constructor (options = {}) {
+    this.buckets = options.buckets ?? DEFAULT_BUCKETS
+
+    if (!Array.isArray(this.buckets) || this.buckets.length === 0 ||
+      this.buckets.some((bound, i) => typeof bound !== 'number' || !(bound > 0) || bound <= this.buckets[i - 1])) {
+      throw new Error('latencyBuckets must be a non-empty, increasing list of positive numbers')
+    }
+
+    this.reset()
+  }
+
+  /**
+   * Reset every counter and histogram.
+   */
+  reset () {
+    this.counters = Object.fromEntries(Object.keys(COUNTERS).map(name => [name, 0]))
+    this.errors = new Map()
+    this.latency = new Map()
+  }
+
+  /**
+   * Increment a counter.
+   *
+   * @param {string} name - Counter name
+   * @param {number} [count=1] - Amount to add
+   */
+  increment (name, count = 1) {
+    this.counters[name] += count
+  }
+
+  /**
+   * Count a failed operation.
+   *
+   * @param {string} operation - Operation name
+   */
+  error (operation) {
+    this.errors.set(operation, (this.errors.get(operation) || 0) + 1)
+  }
+
+  /**
+   * Record the duration of an operation.
+   *
+   * @param {string} operation - Operation name
+   * @param {number} seconds - Duration in seconds
+   */
+  observe (operation, seconds) {
+    let histogram = this.latency.get(operation)
+    if (!histogram) {
+      histogram = { count: 0, sum: 0, counts: new Array(this.buckets.length).fill(0) }
+      this.latency.set(operation, histogram)
+    }
+
+    histogram.count++
+    histogram.sum += seconds
+
+    const index = this.buckets.findIndex(bound => seconds <= bound)
+    if (index !== -1) {
+      histogram.counts[index]++
+    }
+  }
+
+  /**
+   * Copy the current values into a plain object.
+   *
+   * @returns {Object} Snapshot of counters, errors per operation and latency histograms
+   *   with cumulative bucket counts
+   */
+  snapshot () {
+    const { hits, misses } = this.counters
+    const latency = {}
+
+    for (const [operation, histogram] of this.latency) {
+      let cumulative = 0
+      latency[operation] = {
+        count: histogram.count,
+        sum: histogram.sum,
+        buckets: this.buckets.map((le, i) => {
+          cumulative += histogram.counts[i]
+          return { le, count: cumulative }
+        })
+      }
+    }
+
+    return {
+      ...this.counters,
+      hitRatio: hits + misses > 0 ? hits / (hits + misses) : 0,
+      errors: Object.fromEntries(this.errors),
+      latency
+    }
+  }
+}
+
+/**
+ * Format a label set for the Prometheus text format.
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or an empty string without labels
+ */
+function formatLabels (labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return `${name}="${escaped}"`
+  })
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Serialize a metrics snapshot in the Prometheus text exposition format.
+ *
+ * @param {Object} snapshot - Result of MongoStorage#metrics()
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.prefix='mongo_cache'] - Metric name prefix
+ * @param {Object} [options.labels] - Labels added to every sample, e.g. `{ cache: 'orders' }`
+ * @returns {string} Metrics text, ending with a newline
+ */
+function toPrometheus (snapshot, options = {}) {
+  const prefix = options.prefix ?? 'mongo_cache'
+  const labels = options.labels ?? {}
+  const lines = []
+
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    const metric = `${prefix}_${name.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase())}_total`
+    lines.push(`# HELP ${metric} ${help}`)
+    lines.push(`# TYPE ${metric} counter`)
+    lines.push(`${metric}${formatLabels(labels)} ${snapshot[name]}`)
+  }
+
+  const errors = `${prefix}_errors_total`
+  lines.push(`# HELP ${errors} Failed operations`)
+  lines.push(`# TYPE ${errors} counter`)
+  for (const [operation, count] of Object.entries(snapshot.errors)) {
+    lines.push(`${errors}${formatLabels({ ...labels, operation })} ${count}`)
+  }
+
+  const duration = `${prefix}_operation_duration_seconds`
+  lines.push(`# HELP ${duration} Duration of cache operations`)
+  lines.push(`# TYPE ${duration} histogram`)
+  for (const [operation, histogram] of Object.entries(snapshot.latency)) {
+    for (const { le, count } of histogram.buckets) {
+      lines.push(`${duration}_bucket${formatLabels({ ...labels, operation, le })} ${count}`)
+    }
+    lines.push(`${duration}_bucket${formatLabels({ ...labels, operation, le: '+Inf' })} ${histogram.count}`)
+    lines.push(`${duration}_sum${formatLabels({ ...labels, operation })} ${histogram.sum}`)
+    lines.push(`${duration}_count${formatLabels({ ...labels, operation })} ${histogram.count}`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  Metrics,
+  toPrometheus
+}
@@ -0,0 +1,107 @@
+'use strict'
+
+const { setTimeout: sleep } = require('timers/promises')
+const { MongoError, MongoNetworkError, MongoServerSelectionError } = require('mongodb')
+
+// Server error codes of a failover or shutdown, after which the operation can succeed on the new primary
+const TRANSIENT_ERROR_CODES = new Set([
+  6, // HostUnreachable
+  7, // HostNotFound
+  89, // NetworkTimeout
+  91, // ShutdownInProgress
+  134, // ReadConcernMajorityNotAvailableYet
+  189, // PrimarySteppedDown
+  262, // ExceededTimeLimit
+  9001, // SocketException
+  10107, // NotWritablePrimary
+  11600, // InterruptedAtShutdown
+  11602, // InterruptedDueToReplStateChange
+  13435, // NotPrimaryNoSecondaryOk
+  13436 // NotPrimaryOrSecondary
+])
+
+const DEFAULTS = {
+  retries: 2,
+  minDelay: 50,
+  maxDelay: 1000
+}
+
+/**
+ * Check whether an operation may succeed if attempted again, e.g. after a network
+ * error or a primary election. Timeouts are not transient: retrying would exceed them.
+ * @param {Error} err - Operation error
+ * @returns {boolean} True for network, server selection and failover errors
+ */
+function isTransientError (err) {
+  if (err instanceof MongoNetworkError || err instanceof MongoServerSelectionError) {
+    return true
+  }
+  return err instanceof MongoError &&
+    (TRANSIENT_ERROR_CODES.has(err.code) || err.hasErrorLabel('RetryableWriteError'))
+}
+
+/**
+ * Resolve the retry option into normalized settings.
+ * @param {Object|boolean|undefined} option - `retry` constructor option
+ * @returns {Object|null} { retries, minDelay, maxDelay }, or null when retries are disabled
+ */
+function resolveRetry (option) {
+  if (!option) {
+    return null
+  }
+
+  const settings = { ...DEFAULTS, ...(option === true ? {} : option) }
+
+  if (!Number.isInteger(settings.retries) || settings.retries < 0) {
+    throw new Error('retry.retries must be a non-negative integer')
+  }
+  if (typeof settings.minDelay !== 'number' || !(settings.minDelay >= 0)) {
+    throw new Error('retry.minDelay must be a non-negative number')
+  }
+  if (typeof settings.maxDelay !== 'number' || !(settings.maxDelay >= settings.minDelay)) {
+    throw new Error('retry.maxDelay must be a number no smaller than retry.minDelay')
+  }
+
+  return settings.retries > 0 ? settings : null
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, so that clients
+ * failing together do not retry together.
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @param {Object} settings - Resolved retry settings
+ * @returns {number} Delay in milliseconds
+ */
+function backoff (attempt, settings) {
+  const ceiling = Math.min(settings.maxDelay, settings.minDelay * 2 ** (attempt - 1))
+  return settings.minDelay + Math.random() * (ceiling - settings.minDelay)
+}
+
+/**
+ * Run a call, attempting it again after transient errors.
+ * The call must be idempotent, as a failed attempt may have been applied in part.
+ * @param {Function} fn - Call to attempt
+ * @param {Object} settings - Resolved retry settings
+ * @param {Function} [onRetry] - Called with (err, attempt) before each retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry (fn, settings, onRetry = () => {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      if (attempt > settings.retries || !isTransientError(err)) {
+        throw err
+      }
+      onRetry(err, attempt)
+      await sleep(backoff(attempt, settings))
+    }
+  }
+}
+
+module.exports = {
+  isTransientError,
+  resolveRetry,
+  backoff,
+  withRetry
+}
@@ -1,14 +1,145 @@
 'use strict'
 
 const crypto = require('crypto')
+const { EventEmitter } = require('events')
+const { BSON } = require('mongodb')
+const { setTimeout: sleep } = require('timers/promises')
+const { performance } = require('perf_hooks')
+const CacheWatcher = require('./watcher')
+const LRUCache = require('./lru')
+const { Metrics } = require('./metrics')
+const { trace } = require('./tracing')
+const { CircuitBreaker, CircuitOpenError, isUnavailableError } = require('./breaker')
+const { resolveRetry, withRetry } = require('./retry')
+const { resolveTTLPolicies, applyTTLPolicy, resolveJitter, applyJitter } = require('./ttl')
+const { CODECS, resolveCodec, toBuffer, payloadFormat, payloadSize, toBytes, fromBytes } = require('./codecs')
+const { resolveCompression, compress, decompress } = require('./compression')
+const { escapeRegex } = require('./utils')
+
+const REFERENCE_LAYOUTS = ['embedded', 'pair']
+
+const EVICTION_POLICIES = ['lru', 'lfu']
+
+// Default pause in seconds between runs of the evictor, when a capacity limit is set
+const DEFAULT_EVICTION_INTERVAL = 60
+
+// Last-access times and hit counts are written at most this often (in ms), so hot keys don't turn every read into a write
+const ACCESS_RESOLUTION = 60 * 1000
+
+// Sliding expiries are extended once this fraction of the TTL (10%) has passed since the last extension
+const SLIDING_RESOLUTION = 0.1
+
+// Kinds of operation with their own timeout, read preference and concerns
+const OPERATION_KINDS = ['read', 'write', 'invalidate']
+
+// Data operations whose latency and errors are recorded, see metrics(), and traced on diagnostics_channel
+const INSTRUMENTED_OPERATIONS = [
+  'get', 'getWithStatus', 'getMany', 'set', 'setMany', 'remove', 'removeMany',
+  'invalidate', 'clear', 'refresh', 'getTTL', 'exists', 'releaseLease'
+]
+
+// Number of reference/key pairs checked per query when pruning the pair layout
+const PRUNE_BATCH_SIZE = 500
+
+// Default number of keys (and reference documents) deleted per batch when invalidating
+const INVALIDATION_BATCH_SIZE = 1000
+
+// Maximum number of keys listed in a published event document
+const EVENT_KEYS_LIMIT = 1000
+
+// Event documents only need to outlive change stream delivery
+const EVENT_TTL = 60
+
+// Encoded values above this many bytes are split into chunk documents by default
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024
+
+// Chunks must leave room for the rest of the chunk document under the 16MB BSON limit
+const MAX_CHUNK_SIZE = 15 * 1024 * 1024
+
+// Chunks younger than this (in ms) may belong to a set() still in flight and are never pruned
+const CHUNK_PRUNE_GRACE = 60 * 1000
+
+/**
+ * Compare two index key specifications, including field order.
+ * @param {Object} a - Index key
+ * @param {Object} b - Index key
+ * @returns {boolean} True if both keys are identical
+ */
+function sameKey (a, b) {
+  const aEntries = Object.entries(a)
+  const bEntries = Object.entries(b)
+  return aEntries.length === bEntries.length &&
+    aEntries.every(([field, direction], i) => bEntries[i][0] === field && bEntries[i][1] === direction)
+}
+
+/**
+ * Combine two TTLs into the one that outlives both (0 = no expiry wins).
+ * @param {number} a - TTL in seconds
+ * @param {number} b - TTL in seconds
+ * @returns {number} Combined TTL in seconds
+ */
+function mergeTTL (a, b) {
+  if (!a || a <= 0 || !b || b <= 0) {
+    return 0
+  }
+  return Math.max(a, b)
+}
+
+/**
+ * Record the references a previous version of a value had but the new one does not.
+ * @param {Map<string, Array<string>>} pullMap - Keys to remove per reference
+ * @param {string} key - Cache key
+ * @param {Object|null} previous - Previous value document (with references)
+ * @param {Array<string>} references - References the key keeps
+ */
+function addStaleReferences (pullMap, key, previous, references) {
+  if (!previous || !previous.references) {
+    return
+  }
+
+  for (const reference of previous.references) {
+    if (references.includes(reference)) {
+      continue
+    }
+    const keys = pullMap.get(reference)
+    if (keys) {
+      keys.push(key)
+    } else {
+      pullMap.set(reference, [key])
+    }
+  }
+}
+
+/**
+ * Get the _id prefix shared by every document of a namespace.
+ * @param {string} namespace - Namespace name
+ * @returns {string} Namespace prefix
+ */
+function namespacePrefix (namespace) {
+  return `n:${namespace}:`
+}
+
+/**
+ * Validate a namespace name.
+ * @param {string} namespace - Namespace name
+ */
+function validateNamespace (namespace) {
+  if (typeof namespace !== 'string' || namespace.length === 0 || namespace.includes(':')) {
+    throw new Error('namespace must be a non-empty string without ":"')
+  }
+}
 
 /**
  * MongoDB storage adapter for async-cache-dedupe.
  * Provides distributed caching with TTL, reference-based invalidation, and deduplication.
  *
+ * Events:
+ * - `invalidateProgress` ({ reference, batches, values, references }) after each deleted batch
+ *
  * @class MongoStorage
+ * @extends EventEmitter
  */
-class MongoStorage {
+class MongoStorage extends EventEmitter {
   /**
    * Creates a MongoStorage instance.
    *
@@ -16,9 +147,66 @@ class MongoStorage {
    * @param {Object} options.collection - MongoDB collection instance (required if db not provided)
    * @param {Object} options.db - MongoDB database instance (required if collection not provided)
    * @param {string} [options.collectionName='cache'] - Collection name (used when db is provided)
-   * @param {Object} [options.invalidation] - Invalidation configuration
+   * @param {string} [options.namespace] - Scope keys, references, invalidation and clear() to a namespace
+   * @param {string} [options.referenceLayout='embedded'] - How references are stored: 'embedded' keeps one
+   *   document per reference with a keys array, 'pair' keeps one document per reference/key pair and scales
+   *   to any number of keys per reference
+   * @param {number} [options.invalidationBatchSize=1000] - Keys and reference documents deleted per batch
+   * @param {number} [options.invalidationThrottle=0] - Pause in milliseconds between invalidation batches
+   * @param {boolean} [options.publishEvents=false] - Publish remove, invalidate and clear events for watch()
+   * @param {string|Object} [options.serializer='bson'] - Value codec: 'bson', 'json', 'v8' or a custom
+   *   `{ name, serialize, deserialize }`. The codec is recorded per document, so it can be changed later.
+   * @param {string|Object|boolean} [options.compression=false] - Compress encoded values with 'gzip', 'deflate'
+   *   or 'brotli'. Pass `{ algorithm, threshold, level }` to tune; values under `threshold` bytes (default 1024)
+   *   are stored uncompressed.
+   * @param {number} [options.chunkSize=8388608] - Encoded values larger than this many bytes are split
+   *   across chunk documents, to stay under MongoDB's 16MB document limit (0 = never split)
+   * @param {Array<number>} [options.latencyBuckets] - Upper bounds in seconds of the latency histograms, see metrics()
+   * @param {Object|boolean} [options.failOpen] - Degrade to cache misses and no-ops when MongoDB is unavailable,
+   *   behind a circuit breaker
+   * @param {number} [options.failOpen.threshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.failOpen.cooldown=30000] - Milliseconds before probing MongoDB again
+   * @param {Object} [options.logger=console] - Receives `warn(obj, msg)` for errors ignored in fail-open mode
+   * @param {Object} [options.timeouts] - Timeouts in milliseconds of each MongoDB command (0 = none)
+   * @param {number} [options.timeouts.read] - Timeout of commands run by reads (get, getMany, exists, ...)
+   * @param {number} [options.timeouts.write] - Timeout of commands run by writes (set, setMany, refresh)
+   * @param {number} [options.timeouts.invalidate] - Timeout of commands run by invalidate(), remove()
+   *   and clear(), applied to each invalidation batch
+   * @param {Object} [options.readPreference] - Read preference of reads, writes and invalidations,
+   *   e.g. `{ read: 'nearest' }`; invalidations always read from the primary
+   * @param {Object} [options.readConcern] - Read concern of reads, writes and invalidations, e.g. `{ read: 'local' }`
+   * @param {Object} [options.writeConcern] - Write concern of reads (lazy deletion of expired entries), writes
+   *   and invalidations, e.g. `{ write: { w: 0 }, invalidate: { w: 'majority' } }`; invalidations are
+   *   always acknowledged
+   * @param {Object|boolean} [options.retry] - Retry operations failing with a transient error, such as a
+   *   network error or a primary election, with exponential backoff and jitter
+   * @param {number} [options.retry.retries=2] - Attempts after the first one
+   * @param {number} [options.retry.minDelay=50] - Minimum delay in milliseconds before a retry
+   * @param {number} [options.retry.maxDelay=1000] - Maximum delay in milliseconds before a retry
+   * @param {Object|boolean} [options.l1] - In-process LRU in front of MongoDB; implies publishEvents
+   * @param {number} [options.l1.max=1000] - Maximum number of L1 entries
+   * @param {number} [options.l1.ttl=10] - Maximum L1 entry lifetime in seconds, which bounds staleness
+   * @param {boolean} [options.l1.sync=true] - Evict L1 entries on events from peers, see watch()
+   * @param {number} [options.pruneInterval] - Run pruneReferences() every N seconds (0 = never)
+   * @param {boolean} [options.slidingExpiration=false] - Push back the expiry of a value by its TTL when it
+   *   is read; set() and setMany() can override it per key
+   * @param {number} [options.ttlJitter=0] - Bring the expiry of values forward by a random fraction of their
+   *   TTL of up to this much (e.g. 0.1 for up to 10%), so that values written together expire apart
+   * @param {Object} [options.ttlPolicies] - TTL rules per key pattern, e.g. `{ 'user:*': { max: 300 } }`:
+   *   `ttl` replaces the TTL, `max` caps it and `min` raises it. The first matching pattern applies
+   * @param {number} [options.maxEntries] - Maximum number of values, enforced by evict()
+   * @param {number} [options.maxBytes] - Maximum total size in bytes of the encoded values, enforced by evict()
+   * @param {string} [options.evictionPolicy='lru'] - Values evicted first: 'lru' (least recently read)
+   *   or 'lfu' (least often read)
+   * @param {number} [options.evictionInterval=60] - Run evict() every N seconds when a limit is set (0 = never)
+   * @param {boolean} [options.autoIndex=true] - Create indexes on construction, see ready() and ensureIndexes()
+   * @param {Object|boolean} [options.invalidation=true] - Invalidation configuration, `false` disables reference tracking
+   * @param {number} [options.invalidation.referencesTTL] - TTL in seconds for reference documents (0 = no expiry).
+   *   When omitted, reference documents live as long as the longest-lived value pointing to them.
    */
   constructor (options = {}) {
+    super()
+
     if (!options.collection && !options.db) {
       throw new Error('Either collection or db must be provided')
     }
@@ -27,276 +215,2219 @@ class MongoStorage {
     this.collection = options.collection || options.db.collection(options.collectionName || 'cache')
     this.db = options.db || options.collection.s?.db
 
-    // Key prefixes
-    this.valuePrefix = 'v:'
-    this.referencePrefix = 'r:'
+    // Key prefixes, scoped to the namespace when one is given
+    if (options.namespace !== undefined) {
+      validateNamespace(options.namespace)
+    }
+    this.namespace = options.namespace
+    const base = this.namespace === undefined ? '' : namespacePrefix(this.namespace)
+    this.valuePrefix = base + 'v:'
+    this.referencePrefix = base + 'r:'
+    this.pairPrefix = base + 'p:'
+    this.eventPrefix = base + 'e:'
+    this.chunkPrefix = base + 'c:'
+    this.leasePrefix = base + 'l:'
+
+    // Reference tracking, enabled unless explicitly turned off
+    const invalidation = options.invalidation ?? true
+    this.invalidation = invalidation !== false
+    this.referencesTTL = undefined
+
+    if (typeof invalidation === 'object' && invalidation.referencesTTL !== undefined) {
+      const { referencesTTL } = invalidation
+      if (typeof referencesTTL !== 'number' || !Number.isFinite(referencesTTL) || referencesTTL < 0) {
+        throw new Error('invalidation.referencesTTL must be a non-negative number')
+      }
+      this.referencesTTL = referencesTTL
+    }
+
+    // Reference document layout
+    this.referenceLayout = options.referenceLayout || 'embedded'
+    if (!REFERENCE_LAYOUTS.includes(this.referenceLayout)) {
+      throw new Error(`referenceLayout must be one of: ${REFERENCE_LAYOUTS.join(', ')}`)
+    }
+
+    // Invalidation batching, to bound memory and command size on broad patterns
+    this.invalidationBatchSize = options.invalidationBatchSize ?? INVALIDATION_BATCH_SIZE
+    if (!Number.isInteger(this.invalidationBatchSize) || this.invalidationBatchSize <= 0) {
+      throw new Error('invalidationBatchSize must be a positive integer')
+    }
+    this.invalidationThrottle = options.invalidationThrottle || 0
+
+    // Value codec for writes; reads decode with whichever codec the document records
+    this.codec = resolveCodec(options.serializer ?? 'bson')
+    this._codecs = { ...CODECS, [this.codec.name]: this.codec }
+
+    // Optional compression of encoded values; reads follow the per-document marker
+    this.compression = resolveCompression(options.compression)
+
+    // Values over the BSON document limit are split across chunk documents
+    this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE
+    if (!Number.isInteger(this.chunkSize) || this.chunkSize < 0 || this.chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`chunkSize must be a non-negative integer no larger than ${MAX_CHUNK_SIZE}`)
+    }
+
+    // Counters and latency histograms, see metrics()
+    this._metrics = new Metrics({ buckets: options.latencyBuckets })
+
+    // Fail-open mode: errors degrade to misses and no-ops, and a circuit breaker sheds cache traffic
+    this.logger = options.logger || console
+    this._breaker = null
+    if (options.failOpen) {
+      const failOpenOptions = options.failOpen === true ? {} : options.failOpen
+      this._breaker = new CircuitBreaker(failOpenOptions, (state, previousState) => {
+        this.emit('breakerStateChange', { state, previousState, failures: this._breaker.failures })
+      })
+    }
+
+    // Per-command timeouts, enforced by the driver on the client and the server
+    const timeouts = options.timeouts || {}
+    this.timeouts = {}
+    for (const kind of OPERATION_KINDS) {
+      const timeout = timeouts[kind] ?? 0
+      if (!Number.isInteger(timeout) || timeout < 0) {
+        throw new Error(`timeouts.${kind} must be a non-negative integer`)
+      }
+      this.timeouts[kind] = timeout
+    }
+
+    // Read preference and concerns per kind of operation; the collection defaults apply otherwise
+    this._concerns = {}
+    for (const kind of OPERATION_KINDS) {
+      this._concerns[kind] = {
+        readPreference: options.readPreference?.[kind],
+        readConcern: options.readConcern?.[kind],
+        writeConcern: options.writeConcern?.[kind]
+      }
+    }
+    this._guardInvalidation()
+
+    // Operations are retried as a whole after transient errors, so a retried write may be applied twice.
+    // The stored value ends up the same, but a set() retried after its replace was applied sees its own
+    // document as the previous version: the references that version dropped keep the key, which only
+    // over-invalidates until pruneReferences() finds the key missing from the value's references
+    this.retry = resolveRetry(options.retry)
+
+    // Cross-process events, see watch()
+    this.publishEvents = options.publishEvents === true
+    this._watchers = new Set()
+
+    // Optional in-process L1 tier
+    this.l1 = null
+    if (options.l1) {
+      const l1Options = options.l1 === true ? {} : options.l1
+      this.l1 = new LRUCache(l1Options)
+
+      // Peers evict their L1 entries from these events, so they must be published
+      this.publishEvents = true
+      if (l1Options.sync !== false) {
+        this._syncL1()
+      }
+    }
+
+    // TTL rules per key family and expiry spreading, applied by set() and setMany()
+    this.ttlPolicies = resolveTTLPolicies(options.ttlPolicies)
+    this.ttlJitter = resolveJitter(options.ttlJitter)
+
+    // Default of set() and setMany(): reads extend the expiry of values by the TTL they were set with
+    this.slidingExpiration = options.slidingExpiration === true
 
     // Maximum key length before hashing (MongoDB has no strict limit, but we keep consistent with couchbase)
     this.maxKeyLength = 200
 
-    // Initialize TTL indexes
-    this._initializeTTLIndexes()
+    // Periodically drop keys of removed or expired values from reference documents
+    this._pruneTimer = null
+    this._pruning = false
+    const pruneInterval = options.pruneInterval ?? 0
+    if (typeof pruneInterval !== 'number' || !(pruneInterval >= 0)) {
+      throw new Error('pruneInterval must be a non-negative number')
+    }
+    if (pruneInterval) {
+      this._pruneTimer = setInterval(() => this._runPrune(), pruneInterval * 1000)
+      this._pruneTimer.unref()
+    }
+
+    // Capacity limits: values track their size and reads, and the least valuable ones are evicted
+    this.eviction = null
+    this._evictionTimer = null
+    this._evicting = false
+    // LFU reads counted since hit counts were last written, per value document _id
+    this._pendingHits = new Map()
+    this._hitsWrittenAt = 0
+    if (options.maxEntries !== undefined || options.maxBytes !== undefined) {
+      this.eviction = {
+        maxEntries: options.maxEntries ?? Infinity,
+        maxBytes: options.maxBytes ?? Infinity,
+        policy: options.evictionPolicy || 'lru'
+      }
+      for (const limit of ['maxEntries', 'maxBytes']) {
+        const value = options[limit]
+        if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+          throw new Error(`${limit} must be a positive integer`)
+        }
+      }
+      if (!EVICTION_POLICIES.includes(this.eviction.policy)) {
+        throw new Error(`evictionPolicy must be one of: ${EVICTION_POLICIES.join(', ')}`)
+      }
+
+      const interval = options.evictionInterval ?? DEFAULT_EVICTION_INTERVAL
+      if (typeof interval !== 'number' || !(interval >= 0)) {
+        throw new Error('evictionInterval must be a non-negative number')
+      }
+      if (interval) {
+        this._evictionTimer = setInterval(() => this._runEvict(), interval * 1000)
+        this._evictionTimer.unref()
+      }
+    }
+
+    // Create indexes in the background; errors surface through ready()
+    this.autoIndex = options.autoIndex !== false
+    this._ready = this.autoIndex ? this.ensureIndexes() : Promise.resolve()
+    this._ready.catch(() => {})
+  }
+
+  /**
+   * Create a MongoStorage instance and wait for its indexes to be ready.
+   *
+   * @param {Object} options - Same options as the constructor
+   * @returns {Promise<MongoStorage>} Initialized storage
+   */
+  static async create (options) {
+    const storage = new MongoStorage(options)
+    await storage.ready()
+    return storage
+  }
+
+  /**
+   * Wait for automatic index creation to finish.
+   * Rejects with the index creation error, if any. Resolves immediately when autoIndex is disabled.
+   *
+   * @returns {Promise<void>}
+   */
+  async ready () {
+    await this._ready
+  }
+
+  /**
+   * Describe the indexes this storage relies on.
+   * @private
+   * @returns {Array<{name: string, key: Object, options: Object}>} Index specifications
+   */
+  _getIndexSpecs () {
+    const specs = [
+      {
+        name: 'expireAt_1',
+        key: { expireAt: 1 },
+        // TTL index on expireAt for automatic document expiration
+        options: { expireAfterSeconds: 0 }
+      }
+    ]
+
+    if (this.eviction) {
+      // Walk values from the least to the most valuable when evicting. Not sparse, or the
+      // planner could not use it to sort: untracked documents index as null and sort first
+      const key = this._getEvictionOrder()
+      specs.push({ name: Object.keys(key).map(field => `${field}_1`).join('_'), key, options: {} })
+    }
+
+    if (this.referenceLayout === 'pair') {
+      // Lookup of reference/key pairs by (prefixed) reference, exact or by prefix regex
+      specs.push({
+        name: 'ref_1',
+        key: { ref: 1 },
+        options: { sparse: true }
+      })
+    }
+
+    return specs
+  }
+
+  /**
+   * Sort of values from the least to the most valuable under the eviction policy,
+   * which is also the key of its index.
+   * @private
+   * @returns {Object} Sort specification
+   */
+  _getEvictionOrder () {
+    return this.eviction.policy === 'lfu' ? { hits: 1, accessedAt: 1 } : { accessedAt: 1 }
+  }
+
+  /**
+   * Create the indexes this storage relies on.
+   * Called automatically on construction unless autoIndex is false.
+   *
+   * @returns {Promise<Array<string>>} Names of the ensured indexes
+   */
+  async ensureIndexes () {
+    const names = []
+    for (const spec of this._getIndexSpecs()) {
+      names.push(await this.collection.createIndex(spec.key, {
+        name: spec.name,
+        background: true,
+        ...spec.options
+      }))
+    }
+    return names
+  }
+
+  /**
+   * Report whether the expected indexes exist with the right options.
+   * Does not modify the collection, so it can run without createIndex privileges.
+   *
+   * @returns {Promise<{ok: boolean, indexes: Array<Object>}>} Status of each expected index
+   */
+  async checkIndexes () {
+    let existing
+    try {
+      existing = await this.collection.indexes()
+    } catch (err) {
+      // NamespaceNotFound: the collection has not been created yet
+      if (err.code !== 26) {
+        throw err
+      }
+      existing = []
+    }
+
+    const indexes = this._getIndexSpecs().map(spec => {
+      const found = existing.find(index => sameKey(index.key, spec.key))
+      const problems = []
+
+      if (found) {
+        for (const [option, expected] of Object.entries(spec.options)) {
+          if (found[option] !== expected) {
+            problems.push(`${option} is ${found[option]}, expected ${expected}`)
+          }
+        }
+      }
+
+      return {
+        name: found ? found.name : spec.name,
+        key: spec.key,
+        exists: Boolean(found),
+        valid: Boolean(found) && problems.length === 0,
+        problems
+      }
+    })
+
+    return { ok: indexes.every(index => index.valid), indexes }
+  }
+
+  /**
+   * Hash a key using SHA-256.
+   * Keys exceeding maxKeyLength are automatically hashed for consistency.
+   *
+   * @private
+   * @param {string} key - Key to hash
+   * @returns {string} Hashed key or original if below max length
+   */
+  _hashKey (key) {
+    if (key.length <= this.maxKeyLength) {
+      return key
+    }
+    return crypto.createHash('sha256').update(key).digest('hex')
+  }
+
+  /**
+   * Get the full value key with prefix.
+   * @private
+   * @param {string} key - Original key
+   * @returns {string} Prefixed and potentially hashed key
+   */
+  _getValueKey (key) {
+    return this.valuePrefix + this._hashKey(key)
+  }
+
+  /**
+   * Get the full reference key with prefix.
+   * @private
+   * @param {string} reference - Reference name
+   * @returns {string} Prefixed and potentially hashed reference
+   */
+  _getReferenceKey (reference) {
+    return this.referencePrefix + this._hashKey(reference)
+  }
+
+  /**
+   * Get the _id of the lease document of a key.
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} Prefixed and potentially hashed key
+   */
+  _getLeaseKey (key) {
+    return this.leasePrefix + this._hashKey(key)
+  }
+
+  /**
+   * Get the _id of a reference/key pair document (pair layout).
+   * @private
+   * @param {string} reference - Reference name
+   * @param {string} key - Cache key
+   * @returns {string} Prefixed pair id
+   */
+  _getPairKey (reference, key) {
+    return this.pairPrefix + JSON.stringify([this._hashKey(reference), this._hashKey(key)])
+  }
+
+  /**
+   * Calculate expiration date from TTL.
+   * @private
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Date|null} Expiration date or null for no expiration
+   */
+  _getExpirationDate (ttl) {
+    if (!ttl || ttl <= 0) {
+      return null
+    }
+    return new Date(Date.now() + ttl * 1000)
+  }
+
+  /**
+   * Calculate the end of the fresh period from a soft TTL.
+   * @private
+   * @param {number} [softTTL] - Seconds the value stays fresh
+   * @returns {Date|null} Fresh-until date or null when the value never goes stale
+   */
+  _getFreshUntil (softTTL) {
+    if (softTTL === undefined) {
+      return null
+    }
+    if (typeof softTTL !== 'number' || !(softTTL > 0)) {
+      throw new Error('softTTL must be a positive number')
+    }
+    return new Date(Date.now() + softTTL * 1000)
+  }
+
+  /**
+   * Date after which an L1 entry of a value document must not be served.
+   * L1 entries never outlive freshness, so an L1 hit is always fresh. Entries of sliding values
+   * expire once their expiry may be extended, so that reads go back to MongoDB to extend it.
+   * @private
+   * @param {Object} doc - Value document
+   * @returns {Date|null} Earliest of freshUntil, expireAt and the next extension, or null if none is set
+   */
+  _getL1ExpireAt (doc) {
+    let expireAt = doc.expireAt || null
+    if (doc.freshUntil && (!expireAt || doc.freshUntil < expireAt)) {
+      expireAt = doc.freshUntil
+    }
+    if (doc.ttl && expireAt) {
+      const slideAt = new Date(Date.now() + doc.ttl * 1000 * SLIDING_RESOLUTION)
+      if (slideAt < expireAt) {
+        expireAt = slideAt
+      }
+    }
+    return expireAt
+  }
+
+  /**
+   * Check whether a document's expireAt has passed.
+   * MongoDB's TTL monitor only runs about once a minute, so expired documents
+   * can still be present and must be treated as misses.
+   * @private
+   * @param {Object} doc - Stored document
+   * @returns {boolean} True if the document is expired
+   */
+  _isExpired (doc) {
+    return Boolean(doc.expireAt) && doc.expireAt.getTime() <= Date.now()
+  }
+
+  /**
+   * Decode the value stored in a document with the compression and codec it records.
+   * @private
+   * @param {Object} doc - Value document
+   * @returns {Promise<*>} Decoded value
+   */
+  async _decodeValue (doc) {
+    const codec = doc.codec === undefined ? CODECS.bson : this._codecs[doc.codec]
+    if (!codec) {
+      throw new Error(`Unknown codec "${doc.codec}" for key "${doc.key ?? doc._id}"`)
+    }
+
+    const payload = doc.compression ? await decompress(doc.value, doc.compression) : doc.value
+    return codec.deserialize(payload)
+  }
+
+  /**
+   * Find a live value document, lazily deleting it if it has expired.
+   * @private
+   * @param {string} valueKey - Prefixed value key
+   * @param {Object} [options] - findOne options (e.g. projection)
+   * @returns {Promise<Object|null>} Document or null if missing or expired
+   */
+  async _findValue (valueKey, options) {
+    const doc = await this.collection.findOne({ _id: valueKey }, this._readOptions('read', options))
+
+    if (!doc) {
+      return null
+    }
+
+    if (this._isExpired(doc)) {
+      await this._deleteExpired(valueKey)
+      return null
+    }
+
+    return doc
+  }
+
+  /**
+   * Delete documents only if they are still expired.
+   * The expireAt guard keeps a concurrent set() of the same key from being lost.
+   * Failures are ignored: the TTL monitor will remove the documents eventually.
+   * @private
+   * @param {string|Array<string>} ids - Document _id(s)
+   * @returns {Promise<void>}
+   */
+  async _deleteExpired (ids) {
+    const expireAt = { $lte: new Date() }
+    try {
+      if (Array.isArray(ids)) {
+        await this.collection.deleteMany({ _id: { $in: ids }, expireAt }, this._writeOptions('read'))
+      } else {
+        await this.collection.deleteOne({ _id: ids, expireAt }, this._writeOptions('read'))
+      }
+    } catch (err) {
+      // Best effort only
+    }
+  }
+
+  /**
+   * Get the _ids of the chunk documents described by a chunks marker.
+   * @private
+   * @param {{id: string, count: number}} chunks - Chunks marker of a value document
+   * @returns {Array<string>} Chunk _ids in order
+   */
+  _getChunkIds (chunks) {
+    return Array.from({ length: chunks.count }, (_, n) => `${this.chunkPrefix}${chunks.id}:${n}`)
+  }
+
+  /**
+   * Reassemble the payload of chunked value documents into their value field.
+   * A document whose chunks are incomplete was overwritten or removed while
+   * being read, and is left out like a miss.
+   * @private
+   * @param {Array<Object>} docs - Value documents
+   * @returns {Promise<Array<Object>>} Documents ready to be decoded
+   */
+  async _loadChunks (docs) {
+    const chunked = docs.filter(doc => doc.chunks)
+    if (chunked.length === 0) {
+      return docs
+    }
+
+    const chunkDocs = await this.collection.find({
+      _id: { $in: chunked.flatMap(doc => this._getChunkIds(doc.chunks)) }
+    }, this._readOptions('read')).project({ data: 1 }).toArray()
+    const dataById = new Map(chunkDocs.map(chunk => [chunk._id, chunk.data]))
+
+    return docs.filter(doc => {
+      if (!doc.chunks) {
+        return true
+      }
+
+      const parts = this._getChunkIds(doc.chunks).map(id => dataById.get(id))
+      if (parts.includes(undefined)) {
+        return false
+      }
+
+      doc.value = fromBytes(Buffer.concat(parts.map(toBuffer)), doc.chunks.format)
+      return true
+    })
+  }
+
+  /**
+   * Split an encoded value into chunk documents when it is larger than chunkSize.
+   * The value document then keeps a chunks marker instead of the value.
+   * @private
+   * @param {Object} doc - Value document, modified in place
+   * @returns {Array<Object>} Chunk documents to insert before the value document
+   */
+  _splitChunks (doc) {
+    if (this.chunkSize === 0) {
+      return []
+    }
+
+    const format = payloadFormat(doc.value)
+    if (payloadSize(doc.value, format) <= this.chunkSize) {
+      return []
+    }
+
+    const bytes = toBytes(doc.value, format)
+    const id = crypto.randomUUID()
+    const chunks = []
+
+    for (let offset = 0; offset < bytes.byteLength; offset += this.chunkSize) {
+      const chunk = {
+        _id: `${this.chunkPrefix}${id}:${chunks.length}`,
+        parent: doc._id,
+        n: chunks.length,
+        data: bytes.subarray(offset, offset + this.chunkSize),
+        createdAt: doc.createdAt
+      }
+      // Chunks expire with their value, so the TTL monitor removes them together
+      if (doc.expireAt) {
+        chunk.expireAt = doc.expireAt
+      }
+      chunks.push(chunk)
+    }
+
+    delete doc.value
+    doc.chunks = { id, count: chunks.length, format }
+    return chunks
+  }
+
+  /**
+   * Insert chunk documents.
+   * Acknowledged even with `w: 0`, as their value document must not be written before them.
+   * @private
+   * @param {Array<Object>} chunks - Chunk documents
+   * @returns {Promise<void>}
+   */
+  async _insertChunks (chunks) {
+    if (chunks.length > 0) {
+      await this.collection.insertMany(chunks, this._acknowledgedWriteOptions('write', { ordered: false }))
+    }
+  }
+
+  /**
+   * Delete the chunk documents of replaced or removed value documents.
+   * @private
+   * @param {Array<Object|null>} docs - Previous value documents (with their chunks marker), or null
+   * @param {string} kind - Kind of the calling operation: 'write' or 'invalidate'
+   * @returns {Promise<void>}
+   */
+  async _deleteChunks (docs, kind) {
+    const ids = docs.filter(doc => doc?.chunks).flatMap(doc => this._getChunkIds(doc.chunks))
+    if (ids.length > 0) {
+      await this.collection.deleteMany({ _id: { $in: ids } }, this._writeOptions(kind))
+    }
+  }
+
+  /**
+   * Record reads of value documents for the eviction policy, without waiting for it.
+   * Reads served by the L1 are not recorded.
+   * @private
+   * @param {Array<Object>} docs - Value documents read
+   */
+  _recordAccess (docs) {
+    if (!this.eviction) {
+      return
+    }
+
+    if (this.eviction.policy === 'lfu') {
+      this._recordHits(docs)
+      return
+    }
+
+    const now = new Date()
+    const ids = docs
+      .filter(doc => !doc.accessedAt || now - doc.accessedAt >= ACCESS_RESOLUTION)
+      .map(doc => doc._id)
+
+    if (ids.length > 0) {
+      this.collection.updateMany({ _id: { $in: ids } }, { $set: { accessedAt: now } }, this._writeOptions('read'))
+        .catch(() => {
+          // Best effort only
+        })
+    }
+  }
+
+  /**
+   * Count reads for the 'lfu' policy. Reads are added up in memory and written in one
+   * unordered bulkWrite at most once per ACCESS_RESOLUTION; counts not written yet are
+   * lost if the process exits.
+   * @private
+   * @param {Array<Object>} docs - Value documents read
+   */
+  _recordHits (docs) {
+    for (const doc of docs) {
+      this._pendingHits.set(doc._id, (this._pendingHits.get(doc._id) || 0) + 1)
+    }
+
+    const now = Date.now()
+    if (this._pendingHits.size === 0 || now - this._hitsWrittenAt < ACCESS_RESOLUTION) {
+      return
+    }
+    this._hitsWrittenAt = now
+
+    const operations = Array.from(this._pendingHits, ([_id, hits]) => ({
+      updateOne: { filter: { _id }, update: { $inc: { hits } } }
+    }))
+    this._pendingHits.clear()
+
+    this.collection.bulkWrite(operations, this._writeOptions('read', { ordered: false }))
+      .catch(() => {
+        // Best effort only
+      })
+  }
+
+  /**
+   * Push back the expiry of sliding values that were read, by the TTL they were set with.
+   * Each value is extended together with its chunks, only if its expireAt is still the one
+   * read, so that a concurrent set() or refresh() wins. Values are extended once a tenth of
+   * their TTL has elapsed since they were set or last extended. Their expiring references
+   * are extended too (unless referencesTTL is set), so that they can still be invalidated.
+   * Failures are ignored: the values then expire as previously scheduled.
+   * @private
+   * @param {Array<Object>} docs - Value documents read, updated in place with their new expireAt
+   * @returns {Promise<void>}
+   */
+  async _slideExpiration (docs) {
+    const now = Date.now()
+    const operations = []
+
+    for (const doc of docs) {
+      if (!doc.ttl || !doc.expireAt || doc.expireAt.getTime() - now > doc.ttl * 1000 * (1 - SLIDING_RESOLUTION)) {
+        continue
+      }
+
+      const ids = doc.chunks ? [doc._id, ...this._getChunkIds(doc.chunks)] : [doc._id]
+      const expireAt = new Date(now + doc.ttl * 1000)
+      operations.push({
+        updateMany: {
+          filter: { _id: { $in: ids }, expireAt: doc.expireAt },
+          update: { $set: { expireAt } }
+        }
+      })
+      doc.expireAt = expireAt
+
+      // References never expire before their values; those without expiry are left alone
+      if (this.referencesTTL === undefined) {
+        for (const reference of doc.references || []) {
+          const id = this.referenceLayout === 'pair'
+            ? this._getPairKey(reference, doc.key)
+            : this._getReferenceKey(reference)
+          operations.push({
+            updateOne: {
+              filter: { _id: id, expireAt: { $exists: true } },
+              update: { $max: { expireAt } }
+            }
+          })
+        }
+      }
+    }
+
+    if (operations.length > 0) {
+      try {
+        await this.collection.bulkWrite(operations, this._writeOptions('read', { ordered: false }))
+      } catch (err) {
+        // Best effort only
+      }
+    }
+  }
+
+  /**
+   * Read and decode a cached value, from the L1 when possible.
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, stale: boolean}|undefined>} Entry or undefined if not found
+   */
+  async _readEntry (key) {
+    if (this.l1) {
+      const cached = this.l1.get(key)
+      if (cached !== undefined) {
+        this._metrics.increment('hits')
+        this._metrics.increment('l1Hits')
+        return { value: cached, stale: false }
+      }
+    }
+
+    const valueKey = this._getValueKey(key)
+    let doc = await this._findValue(valueKey)
+
+    if (doc?.chunks) {
+      [doc] = await this._loadChunks([doc])
+    }
+
+    if (!doc) {
+      this._metrics.increment('misses')
+      return undefined
+    }
+
+    const value = await this._decodeValue(doc)
+    const stale = Boolean(doc.freshUntil) && doc.freshUntil.getTime() <= Date.now()
+    this._recordAccess([doc])
+    await this._slideExpiration([doc])
+    this._metrics.increment('hits')
+    if (stale) {
+      this._metrics.increment('staleHits')
+    } else {
+      this.l1?.set(key, value, this._getL1ExpireAt(doc))
+    }
+    return { value, stale }
+  }
+
+  /**
+   * Retrieve a cached value.
+   * Entries whose expireAt has passed are treated as misses; stale entries are still returned.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined if not found
+   */
+  async get (key) {
+    const entry = await this._readEntry(key)
+    return entry?.value
+  }
+
+  /**
+   * Retrieve a cached value along with its freshness.
+   * An entry is stale once its soft TTL (see set()) has passed, and gone once its TTL has.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, status: string}>} The value and its status: 'fresh', 'stale'
+   *   or 'miss' (with an undefined value)
+   */
+  async getWithStatus (key) {
+    const entry = await this._readEntry(key)
+    if (!entry) {
+      return { value: undefined, status: 'miss' }
+    }
+    return { value: entry.value, status: entry.stale ? 'stale' : 'fresh' }
+  }
+
+  /**
+   * Retrieve many cached values with a single query.
+   * Expired entries are treated as misses.
+   *
+   * @param {Array<string>} keys - Cache keys
+   * @returns {Promise<Array<*>>} Values in input order, undefined for misses
+   */
+  async getMany (keys) {
+    if (keys.length === 0) {
+      return []
+    }
+
+    const cached = new Map()
+    if (this.l1) {
+      for (const key of keys) {
+        const value = this.l1.get(key)
+        if (value !== undefined) {
+          cached.set(key, value)
+        }
+      }
+    }
+
+    const missingKeys = keys.filter(key => !cached.has(key))
+    if (missingKeys.length === 0) {
+      this._metrics.increment('hits', keys.length)
+      this._metrics.increment('l1Hits', keys.length)
+      return keys.map(key => cached.get(key))
+    }
+
+    const valueKeys = keys.map(key => this._getValueKey(key))
+    const docs = await this.collection.find({
+      _id: { $in: Array.from(new Set(missingKeys.map(key => this._getValueKey(key)))) }
+    }, this._readOptions('read')).toArray()
+
+    const liveDocs = []
+    const expiredIds = []
+    for (const doc of docs) {
+      if (this._isExpired(doc)) {
+        expiredIds.push(doc._id)
+      } else {
+        liveDocs.push(doc)
+      }
+    }
+
+    if (expiredIds.length > 0) {
+      await this._deleteExpired(expiredIds)
+    }
+
+    const byId = new Map()
+    for (const doc of await this._loadChunks(liveDocs)) {
+      byId.set(doc._id, doc)
+    }
+    this._recordAccess(Array.from(byId.values()))
+    await this._slideExpiration(Array.from(byId.values()))
+
+    return Promise.all(keys.map(async (key, i) => {
+      if (cached.has(key)) {
+        this._metrics.increment('hits')
+        this._metrics.increment('l1Hits')
+        return cached.get(key)
+      }
+      const doc = byId.get(valueKeys[i])
+      if (!doc) {
+        this._metrics.increment('misses')
+        return undefined
+      }
+      const value = await this._decodeValue(doc)
+      this._metrics.increment('hits')
+      if (doc.freshUntil && doc.freshUntil.getTime() <= Date.now()) {
+        this._metrics.increment('staleHits')
+      }
+      this.l1?.set(key, value, this._getL1ExpireAt(doc))
+      return value
+    }))
+  }
+
+  /**
+   * Store a value with optional TTL and references.
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache (must be serializable)
+   * @param {number} ttl - Time to live in seconds (0 = no expiry), subject to ttlPolicies and ttlJitter
+   * @param {Array<string>} [references] - Optional reference keys for invalidation
+   * @param {Object} [options] - Write options
+   * @param {number} [options.softTTL] - Seconds the value stays fresh; afterwards it is still served
+   *   but reported as stale by getWithStatus(), until ttl expires it
+   * @param {boolean} [options.slidingExpiration] - Push back the expiry by ttl whenever the value is read,
+   *   defaults to the slidingExpiration constructor option
+   * @returns {Promise<void>}
+   */
+  async set (key, value, ttl, references, options = {}) {
+    ttl = applyTTLPolicy(this.ttlPolicies, key, ttl)
+    const refs = this._normalizeReferences(references)
+    const doc = await this._buildValueDoc(key, value, ttl, refs, options.softTTL, options.slidingExpiration)
+
+    // Chunks are written first, so a value document never points to missing chunks
+    await this._insertChunks(this._splitChunks(doc))
+
+    if (!this.invalidation) {
+      const previous = await this.collection.findOneAndReplace(
+        { _id: doc._id },
+        doc,
+        this._acknowledgedWriteOptions('write', { upsert: true, returnDocument: 'before', projection: { chunks: 1, hits: 1 } })
+      )
+      await this._deleteChunks([previous], 'write')
+      await this._carryHits(doc, previous)
+      this.l1?.set(key, value, this._getL1ExpireAt(doc))
+      this._metrics.increment('sets')
+      return
+    }
+
+    // Replace the value and learn which references and chunks the previous version had,
+    // so the replacement is acknowledged even with `w: 0`
+    const previous = await this.collection.findOneAndReplace(
+      { _id: doc._id },
+      doc,
+      this._acknowledgedWriteOptions('write', {
+        upsert: true,
+        returnDocument: 'before',
+        projection: { references: 1, chunks: 1, hits: 1 }
+      })
+    )
+    await this._deleteChunks([previous], 'write')
+    await this._carryHits(doc, previous)
+
+    // Store references if provided
+    if (refs.length > 0) {
+      await this._storeReferences(key, refs, ttl)
+    }
+
+    const pullMap = new Map()
+    addStaleReferences(pullMap, key, previous, refs)
+    await this._pullReferences(pullMap, 'write')
+
+    this.l1?.set(key, value, this._getL1ExpireAt(doc))
+    this._metrics.increment('sets')
+  }
+
+  /**
+   * Restore the read count ('lfu') of an overwritten value on its replacement.
+   * `$max` keeps reads counted since the replacement, and applying it twice is harmless.
+   * @private
+   * @param {Object} doc - Value document written
+   * @param {Object|null} previous - Value document it replaced, with its hits
+   * @returns {Promise<void>}
+   */
+  async _carryHits (doc, previous) {
+    if (doc.hits !== undefined && previous?.hits) {
+      await this.collection.updateOne({ _id: doc._id }, { $max: { hits: previous.hits } }, this._writeOptions('write'))
+    }
+  }
+
+  /**
+   * Store many values in a single round trip.
+   * Values are written with one unordered bulkWrite and reference updates are
+   * merged across entries. When a key appears more than once, the last entry wins.
+   *
+   * @param {Array<{key: string, value: *, ttl: number, references?: Array<string>, softTTL?: number,
+   *   slidingExpiration?: boolean}>} entries - Entries to store, see set()
+   * @returns {Promise<void>}
+   */
+  async setMany (entries) {
+    const byKey = new Map()
+    for (const entry of entries) {
+      byKey.set(entry.key, entry)
+    }
+
+    if (byKey.size === 0) {
+      return
+    }
+
+    const operations = []
+    const referenceMap = new Map()
+
+    // Learn which references and chunks the previous versions had, to unlink and delete them
+    const previousDocs = await this.collection.find({
+      _id: { $in: Array.from(byKey.keys(), key => this._getValueKey(key)) }
+    }, this._readOptions('write')).project({ references: 1, chunks: 1, hits: 1 }).toArray()
+    const previousById = new Map(previousDocs.map(previous => [previous._id, previous]))
+
+    const pullMap = new Map()
+    const chunks = []
+    const written = []
+
+    for (const { key, value, ttl: requestedTTL, references, softTTL, slidingExpiration } of byKey.values()) {
+      const ttl = applyTTLPolicy(this.ttlPolicies, key, requestedTTL)
+      const refs = this._normalizeReferences(references)
+      const doc = await this._buildValueDoc(key, value, ttl, refs, softTTL, slidingExpiration)
+      // An overwritten value keeps its read count ('lfu')
+      const previousHits = previousById.get(doc._id)?.hits
+      if (doc.hits !== undefined && previousHits) {
+        doc.hits = previousHits
+      }
+      written.push({ key, value, doc })
+      chunks.push(...this._splitChunks(doc))
+      if (this.invalidation) {
+        addStaleReferences(pullMap, key, previousById.get(doc._id), refs)
+      }
+      operations.push({
+        replaceOne: {
+          filter: { _id: doc._id },
+          replacement: doc,
+          upsert: true
+        }
+      })
+
+      if (this.invalidation) {
+        for (const reference of refs) {
+          const merged = referenceMap.get(reference)
+          if (merged) {
+            merged.keys.push(key)
+            merged.ttl = mergeTTL(merged.ttl, ttl)
+          } else {
+            referenceMap.set(reference, { keys: [key], ttl })
+          }
+        }
+      }
+    }
+
+    await this._insertChunks(chunks)
+    await this.collection.bulkWrite(operations, this._writeOptions('write', { ordered: false }))
+    await this._deleteChunks(previousDocs, 'write')
+    this._metrics.increment('sets', written.length)
+
+    if (this.l1) {
+      for (const { key, value, doc } of written) {
+        this.l1.set(key, value, this._getL1ExpireAt(doc))
+      }
+    }
+
+    if (referenceMap.size > 0) {
+      await this._writeReferences(referenceMap)
+    }
+
+    await this._pullReferences(pullMap, 'write')
+  }
+
+  /**
+   * Build the value document stored for a key.
+   * @private
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttl - Time to live in seconds
+   * @param {Array<string>} references - Normalized references of the entry
+   * @param {number} [softTTL] - Seconds the value stays fresh
+   * @param {boolean} [slidingExpiration] - Whether reads extend the expiry, defaults to the storage setting
+   * @returns {Promise<Object>} Value document
+   */
+  async _buildValueDoc (key, value, ttl, references, softTTL, slidingExpiration = this.slidingExpiration) {
+    const expireAt = this._getExpirationDate(applyJitter(ttl, this.ttlJitter))
+    const freshUntil = this._getFreshUntil(softTTL)
+
+    const doc = {
+      _id: this._getValueKey(key),
+      key,
+      value: this.codec.serialize(value),
+      createdAt: new Date()
+    }
+
+    // Documents without a codec field hold raw BSON values
+    if (this.codec !== CODECS.bson) {
+      doc.codec = this.codec.name
+    }
+
+    // Documents without a compression field hold the codec output as-is
+    if (this.compression) {
+      const compressed = await compress(doc.value, this.compression)
+      if (compressed) {
+        doc.value = compressed.data
+        doc.compression = compressed.compression
+      }
+    }
+
+    if (this.namespace !== undefined) {
+      doc.namespace = this.namespace
+    }
+
+    // Bookkeeping of capacity limits: stored size, and when or how often the value is read
+    if (this.eviction) {
+      doc.size = payloadSize(doc.value, payloadFormat(doc.value))
+      doc.accessedAt = doc.createdAt
+      if (this.eviction.policy === 'lfu') {
+        doc.hits = 0
+      }
+    }
+
+    if (expireAt) {
+      doc.expireAt = expireAt
+      // Sliding expiration: reads push expireAt back by the original TTL
+      if (slidingExpiration) {
+        doc.ttl = ttl
+      }
+    }
+
+    // Stale-while-revalidate: past freshUntil the value is still served until expireAt
+    if (freshUntil) {
+      doc.freshUntil = freshUntil
+    }
+
+    // Recorded so that remove, overwrite and pruneReferences() can unlink the key from its references.
+    // Recorded even when empty, as values stored before references were recorded are kept linked
+    if (this.invalidation) {
+      doc.references = references
+    }
+
+    return doc
+  }
+
+  /**
+   * Normalize the references of an entry into a list of unique names.
+   * Always empty when invalidation is disabled.
+   * @private
+   * @param {string|Array<string>} [references] - References passed to set()
+   * @returns {Array<string>} Unique references
+   */
+  _normalizeReferences (references) {
+    if (!this.invalidation || !references) {
+      return []
+    }
+    return Array.from(new Set([].concat(references)))
+  }
+
+  /**
+   * Build the expireAt update for a reference document.
+   * With referencesTTL the expiry is reset on every write; otherwise it is only
+   * ever pushed forward so the reference outlives every value pointing to it.
+   * @private
+   * @param {number} ttl - Value time to live in seconds
+   * @returns {Object} Update operators for the expireAt field
+   */
+  _getReferenceExpiryUpdate (ttl) {
+    if (this.referencesTTL !== undefined) {
+      const expireAt = this._getExpirationDate(this.referencesTTL)
+      return expireAt ? { $set: { expireAt } } : { $unset: { expireAt: '' } }
+    }
+
+    const expireAt = this._getExpirationDate(ttl)
+    return expireAt ? { $max: { expireAt } } : { $unset: { expireAt: '' } }
+  }
+
+  /**
+   * Store reference mappings for a cache entry.
+   * @private
+   * @param {string} key - Cache key
+   * @param {Array<string>} references - Reference keys
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<void>}
+   */
+  async _storeReferences (key, references, ttl) {
+    const referenceMap = new Map()
+    for (const reference of references) {
+      referenceMap.set(reference, { keys: [key], ttl })
+    }
+    await this._writeReferences(referenceMap)
+  }
+
+  /**
+   * Add keys to reference documents with a single bulkWrite.
+   * @private
+   * @param {Map<string, {keys: Array<string>, ttl: number}>} referenceMap - Keys and TTL per reference
+   * @returns {Promise<void>}
+   */
+  async _writeReferences (referenceMap) {
+    const operations = []
+    const setOnInsert = this.namespace === undefined
+      ? { createdAt: new Date() }
+      : { createdAt: new Date(), namespace: this.namespace }
+
+    for (const [reference, { keys, ttl }] of referenceMap) {
+      if (this.referenceLayout === 'pair') {
+        const referenceKey = this._getReferenceKey(reference)
+        const expireAt = this._getExpirationDate(this.referencesTTL ?? ttl)
+
+        for (const key of keys) {
+          operations.push({
+            updateOne: {
+              filter: { _id: this._getPairKey(reference, key) },
+              update: {
+                $set: expireAt ? { ref: referenceKey, key, expireAt } : { ref: referenceKey, key },
+                $setOnInsert: setOnInsert,
+                ...(expireAt ? {} : { $unset: { expireAt: '' } })
+              },
+              upsert: true
+            }
+          })
+        }
+        continue
+      }
+
+      const updateDoc = {
+        $addToSet: { keys: { $each: keys } },
+        $setOnInsert: setOnInsert,
+        ...this._getReferenceExpiryUpdate(ttl)
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: this._getReferenceKey(reference) },
+          update: updateDoc,
+          upsert: true
+        }
+      })
+    }
+
+    await this.collection.bulkWrite(operations, this._writeOptions('write', { ordered: false }))
+  }
+
+  /**
+   * Remove a cached value.
+   * The key is also removed from the reference documents it was listed in.
+   *
+   * @param {string} key - Cache key to remove
+   * @returns {Promise<{values: number, references: number}>} Number of value and reference documents deleted
+   */
+  async remove (key) {
+    const valueKey = this._getValueKey(key)
+
+    const previous = await this.collection.findOneAndDelete(
+      { _id: valueKey },
+      this._writeOptions('invalidate', { projection: { references: 1, chunks: 1 } })
+    )
+    // Evicted once the value is gone, so that a concurrent read cannot put it back
+    this.l1?.delete(key)
+    await this._deleteChunks([previous], 'invalidate')
+
+    this._metrics.increment('removes', previous ? 1 : 0)
+
+    if (!this.invalidation) {
+      await this._publish('remove', { keys: [key] })
+      return { values: previous ? 1 : 0, references: 0 }
+    }
+
+    const pullMap = new Map()
+    addStaleReferences(pullMap, key, previous, [])
+    const references = await this._pullReferences(pullMap, 'invalidate')
+    await this._publish('remove', { keys: [key] })
+
+    return { values: previous ? 1 : 0, references }
+  }
+
+  /**
+   * Remove many cached values at once.
+   * The keys are also removed from the reference documents they were listed in.
+   *
+   * @param {Array<string>} keys - Cache keys to remove
+   * @returns {Promise<{values: number, references: number}>} Number of value and reference documents deleted
+   */
+  async removeMany (keys) {
+    if (keys.length === 0) {
+      return { values: 0, references: 0 }
+    }
+
+    const valueKeys = Array.from(new Set(keys.map(key => this._getValueKey(key))))
+
+    const previousDocs = await this.collection.find({
+      _id: { $in: valueKeys }
+    }, this._readOptions('invalidate')).project({ key: 1, references: 1, chunks: 1 }).toArray()
+
+    const result = await this._deleteValueDocs(previousDocs)
+    // Evicted once the values are gone, so that a concurrent read cannot put them back
+    if (this.l1) {
+      keys.forEach(key => this.l1.delete(key))
+    }
+    this._metrics.increment('removes', result.values)
+    await this._publish('remove', { keys })
+
+    return result
+  }
+
+  /**
+   * Delete value documents along with their chunks, and unlink them from their references.
+   * @private
+   * @param {Array<Object>} docs - Value documents, with their key, references and chunks marker
+   * @returns {Promise<{values: number, references: number}>} Number of value and reference documents deleted
+   */
+  async _deleteValueDocs (docs) {
+    if (docs.length === 0) {
+      return { values: 0, references: 0 }
+    }
+
+    const pullMap = new Map()
+    if (this.invalidation) {
+      for (const doc of docs) {
+        addStaleReferences(pullMap, doc.key, doc, [])
+      }
+    }
+
+    const { deletedCount } = await this.collection.deleteMany(
+      { _id: { $in: docs.map(doc => doc._id) } },
+      this._writeOptions('invalidate')
+    )
+    await this._deleteChunks(docs, 'invalidate')
+    const references = await this._pullReferences(pullMap, 'invalidate')
+
+    return { values: deletedCount, references }
+  }
+
+  /**
+   * Remove keys from reference documents, deleting references left empty.
+   * @private
+   * @param {Map<string, Array<string>>} pullMap - Keys to remove per reference
+   * @param {string} kind - Kind of the calling operation: 'write' or 'invalidate'
+   * @returns {Promise<number>} Number of reference documents deleted
+   */
+  async _pullReferences (pullMap, kind) {
+    if (pullMap.size === 0) {
+      return 0
+    }
+
+    if (this.referenceLayout === 'pair') {
+      const pairKeys = []
+      for (const [reference, keys] of pullMap) {
+        for (const key of keys) {
+          pairKeys.push(this._getPairKey(reference, key))
+        }
+      }
+      const { deletedCount } = await this.collection.deleteMany({ _id: { $in: pairKeys } }, this._writeOptions(kind))
+      return deletedCount
+    }
+
+    const referenceKeys = []
+    const operations = []
+
+    for (const [reference, keys] of pullMap) {
+      const referenceKey = this._getReferenceKey(reference)
+      referenceKeys.push(referenceKey)
+      operations.push({
+        updateOne: {
+          filter: { _id: referenceKey },
+          update: { $pull: { keys: { $in: keys } } }
+        }
+      })
+    }
+
+    await this.collection.bulkWrite(operations, this._writeOptions(kind, { ordered: false }))
+    const { deletedCount } = await this.collection.deleteMany({
+      _id: { $in: referenceKeys },
+      keys: { $size: 0 }
+    }, this._writeOptions(kind))
+    return deletedCount
+  }
+
+  /**
+   * Remove keys whose values were removed or expired from every reference document.
+   * Reference documents left without keys are deleted. With the pair layout, every
+   * pair document of a dead key is deleted and counts as both a pruned key and a deleted reference.
+   * Chunk documents no value document points to anymore (e.g. left by an interrupted write) are deleted too.
+   *
+   * @returns {Promise<{scanned: number, keysPruned: number, referencesDeleted: number, chunksDeleted: number}>}
+   *   Prune statistics
+   */
+  async pruneReferences () {
+    const result = this.referenceLayout === 'pair'
+      ? await this._prunePairs()
+      : await this._pruneEmbedded()
+
+    result.chunksDeleted = await this._pruneChunks()
+    return result
+  }
+
+  /**
+   * Remove dead keys from reference documents (embedded layout).
+   * @private
+   * @returns {Promise<{scanned: number, keysPruned: number, referencesDeleted: number}>} Prune statistics
+   */
+  async _pruneEmbedded () {
+    const result = { scanned: 0, keysPruned: 0, referencesDeleted: 0 }
+
+    const cursor = this.collection.find({
+      _id: { $regex: '^' + escapeRegex(this.referencePrefix) }
+    }).project({ keys: 1 })
+
+    for await (const refDoc of cursor) {
+      result.scanned++
+      const keys = refDoc.keys || []
+      const liveKeys = await this._findLiveKeys(keys)
+      const deadKeys = keys.filter(key => !this._isLinked(liveKeys, key, refDoc._id))
+
+      if (deadKeys.length > 0) {
+        await this.collection.updateOne(
+          { _id: refDoc._id },
+          { $pull: { keys: { $in: deadKeys } } }
+        )
+
+        // A set() between the liveness check and the pull had its key pulled again: add it back
+        const linkedKeys = await this._findLiveKeys(deadKeys)
+        const revivedKeys = deadKeys.filter(key => this._isLinked(linkedKeys, key, refDoc._id))
+        if (revivedKeys.length > 0) {
+          await this.collection.updateOne(
+            { _id: refDoc._id },
+            {
+              $addToSet: { keys: { $each: revivedKeys } },
+              $setOnInsert: this.namespace === undefined
+                ? { createdAt: new Date() }
+                : { createdAt: new Date(), namespace: this.namespace }
+            },
+            { upsert: true }
+          )
+        }
+        result.keysPruned += deadKeys.length - revivedKeys.length
+      }
+
+      // Re-check emptiness in the filter so a concurrent set() is never lost
+      const { deletedCount } = await this.collection.deleteOne({
+        _id: refDoc._id,
+        keys: { $size: 0 }
+      })
+      result.referencesDeleted += deletedCount
+    }
+
+    return result
+  }
+
+  /**
+   * Delete reference/key pair documents whose values were removed or expired (pair layout).
+   * @private
+   * @returns {Promise<{scanned: number, keysPruned: number, referencesDeleted: number}>} Prune statistics
+   */
+  async _prunePairs () {
+    const result = { scanned: 0, keysPruned: 0, referencesDeleted: 0 }
+
+    const cursor = this.collection.find({
+      ref: { $regex: '^' + escapeRegex(this.referencePrefix) }
+    }).project({ ref: 1, key: 1, expireAt: 1, createdAt: 1, namespace: 1 })
+
+    let batch = []
+    const flush = async () => {
+      const liveKeys = await this._findLiveKeys(Array.from(new Set(batch.map(pair => pair.key))))
+      const deadPairs = batch.filter(pair => !this._isLinked(liveKeys, pair.key, pair.ref))
+      batch = []
+
+      if (deadPairs.length === 0) {
+        return
+      }
+
+      // Only delete pairs as scanned: a set() since then has moved their expireAt
+      const { deletedCount } = await this.collection.deleteMany({
+        $or: deadPairs.map(pair => ({ _id: pair._id, expireAt: pair.expireAt ?? { $exists: false } }))
+      })
+
+      // A set() with the same expiry (no TTL) between the liveness check and the deletion
+      // lost its pair: put it back, unless it was written again in the meantime
+      const revivedKeys = await this._findLiveKeys(Array.from(new Set(deadPairs.map(pair => pair.key))))
+      const revivedPairs = deadPairs.filter(pair => this._isLinked(revivedKeys, pair.key, pair.ref))
+      if (revivedPairs.length > 0) {
+        await this.collection.bulkWrite(revivedPairs.map(({ _id, ...pair }) => ({
+          updateOne: { filter: { _id }, update: { $setOnInsert: pair }, upsert: true }
+        })), { ordered: false })
+      }
+
+      const pruned = Math.max(0, deletedCount - revivedPairs.length)
+      result.keysPruned += pruned
+      result.referencesDeleted += pruned
+    }
+
+    for await (const pair of cursor) {
+      result.scanned++
+      batch.push(pair)
+      if (batch.length >= PRUNE_BATCH_SIZE) {
+        await flush()
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush()
+    }
+
+    return result
+  }
+
+  /**
+   * Delete chunk documents whose value document is gone or points to other chunks.
+   * Recent chunks are skipped, as their value document may not be written yet.
+   * @private
+   * @returns {Promise<number>} Number of chunk documents deleted
+   */
+  async _pruneChunks () {
+    let deleted = 0
+
+    // The first chunk of every write stands for the whole set
+    const cursor = this.collection.find({
+      _id: { $regex: '^' + escapeRegex(this.chunkPrefix) },
+      n: 0,
+      createdAt: { $lt: new Date(Date.now() - CHUNK_PRUNE_GRACE) }
+    }).project({ parent: 1 })
+
+    let batch = []
+    const flush = async () => {
+      const parents = await this.collection.find({
+        _id: { $in: Array.from(new Set(batch.map(chunk => chunk.parent))) }
+      }).project({ chunks: 1 }).toArray()
+      const liveIds = new Set(parents.filter(doc => doc.chunks).map(doc => doc.chunks.id))
+      const orphans = batch.filter(chunk => !liveIds.has(this._getChunkWriteId(chunk._id)))
+      batch = []
+
+      for (const chunk of orphans) {
+        const prefix = this.chunkPrefix + this._getChunkWriteId(chunk._id) + ':'
+        const { deletedCount } = await this.collection.deleteMany({
+          _id: { $regex: '^' + escapeRegex(prefix) }
+        })
+        deleted += deletedCount
+      }
+    }
+
+    for await (const chunk of cursor) {
+      batch.push(chunk)
+      if (batch.length >= PRUNE_BATCH_SIZE) {
+        await flush()
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush()
+    }
+
+    return deleted
+  }
+
+  /**
+   * Extract the write id from a chunk _id.
+   * @private
+   * @param {string} chunkId - Chunk document _id
+   * @returns {string} Write id shared by the chunks of one value
+   */
+  _getChunkWriteId (chunkId) {
+    return chunkId.slice(this.chunkPrefix.length, chunkId.lastIndexOf(':'))
+  }
+
+  /**
+   * Find which of the given keys still have a live value document, and the references it records.
+   * @private
+   * @param {Array<string>} keys - Cache keys
+   * @returns {Promise<Map<string, Array<string>|undefined>>} References of each key with a non-expired value
+   */
+  async _findLiveKeys (keys) {
+    if (keys.length === 0) {
+      return new Map()
+    }
+
+    const docs = await this.collection.find({
+      _id: { $in: keys.map(key => this._getValueKey(key)) }
+    }).project({ expireAt: 1, references: 1 }).toArray()
+
+    const liveDocs = new Map(docs.filter(doc => !this._isExpired(doc)).map(doc => [doc._id, doc]))
+    const liveKeys = new Map()
+    for (const key of keys) {
+      const doc = liveDocs.get(this._getValueKey(key))
+      if (doc) {
+        liveKeys.set(key, doc.references)
+      }
+    }
+    return liveKeys
+  }
+
+  /**
+   * Check whether a key still belongs to a reference: its value is live and lists the reference.
+   * A key left behind by a set() that lost track of the previous version fails the second test.
+   * Values stored without a record of their references are assumed to belong.
+   * @private
+   * @param {Map<string, Array<string>|undefined>} liveKeys - Result of _findLiveKeys()
+   * @param {string} key - Cache key
+   * @param {string} referenceKey - Reference document _id (embedded) or `ref` field (pair)
+   * @returns {boolean} True if the key must be kept
+   */
+  _isLinked (liveKeys, key, referenceKey) {
+    if (!liveKeys.has(key)) {
+      return false
+    }
+    const references = liveKeys.get(key)
+    return !references || references.some(reference => this._getReferenceKey(reference) === referenceKey)
+  }
+
+  /**
+   * Run a scheduled prune, skipping it if the previous one is still running.
+   * Errors are ignored; the next run will try again.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _runPrune () {
+    if (this._pruning) {
+      return
+    }
+
+    this._pruning = true
+    try {
+      await this.pruneReferences()
+    } catch (err) {
+      // Best effort only
+    } finally {
+      this._pruning = false
+    }
+  }
+
+  /**
+   * Evict the least valuable values until the capacity limits (maxEntries, maxBytes) are met.
+   * Values are evicted by last read ('lru') or read count ('lfu'), with their chunks and reference
+   * bookkeeping, as by removeMany(). Values written before the limits were set are evicted first.
+   * Runs every evictionInterval seconds; limits apply to the whole namespace, so running it from
+   * a single instance is enough. Does nothing without capacity limits.
+   *
+   * @returns {Promise<{values: number, references: number, bytes: number}>} Number of value and
+   *   reference documents deleted, and encoded bytes freed
+   */
+  async evict () {
+    const result = { values: 0, references: 0, bytes: 0 }
+    if (!this.eviction) {
+      return result
+    }
+
+    const filter = { _id: { $regex: '^' + escapeRegex(this.valuePrefix) } }
+    const [usage] = await this.collection.aggregate([
+      { $match: filter },
+      { $group: { _id: null, entries: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ], this._readOptions('invalidate')).toArray()
+
+    let excessEntries = usage ? usage.entries - this.eviction.maxEntries : 0
+    let excessBytes = usage ? usage.bytes - this.eviction.maxBytes : 0
+    if (excessEntries <= 0 && excessBytes <= 0) {
+      return result
+    }
+
+    const cursor = this.collection.find(filter, this._readOptions('invalidate', {}, 'iteration'))
+      .sort(this._getEvictionOrder())
+      .project({ key: 1, size: 1, references: 1, chunks: 1 })
+      .batchSize(this.invalidationBatchSize)
+
+    let batch = []
+    const flush = async () => {
+      const keys = batch.map(doc => doc.key)
+      const deleted = await this._deleteValueDocs(batch)
+      batch = []
+      result.values += deleted.values
+      result.references += deleted.references
+      this._evictL1(keys, false)
+      await this._publish('remove', { keys })
+    }
+
+    for await (const doc of cursor) {
+      batch.push(doc)
+      result.bytes += doc.size || 0
+      excessEntries--
+      excessBytes -= doc.size || 0
+      if (excessEntries <= 0 && excessBytes <= 0) {
+        break
+      }
+      if (batch.length >= this.invalidationBatchSize) {
+        await flush()
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush()
+    }
+
+    this._metrics.increment('evictions', result.values)
+    return result
+  }
+
+  /**
+   * Run a scheduled eviction, skipping it if the previous one is still running.
+   * Errors are ignored; the next run will try again.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _runEvict () {
+    if (this._evicting) {
+      return
+    }
+
+    this._evicting = true
+    try {
+      await this.evict()
+    } catch (err) {
+      // Best effort only
+    } finally {
+      this._evicting = false
+    }
+  }
+
+  /**
+   * Get a snapshot of the cache metrics of this instance.
+   * Counters start at zero when the instance is created; use toPrometheus() to expose them.
+   *
+   * @returns {Object} { hits, misses, staleHits, l1Hits, hitRatio, sets, removes, invalidations,
+   *   invalidatedValues, invalidatedReferences, errors, latency }, where errors counts failures
+   *   per operation and latency holds a histogram per operation
+   */
+  metrics () {
+    return this._metrics.snapshot()
+  }
+
+  /**
+   * Make sure invalidations see every reference and are acknowledged, whatever the collection defaults.
+   * A lost invalidation leaves stale values behind, so invalid settings throw instead of being ignored.
+   * @private
+   * @throws {Error} When invalidations are configured to read from secondaries or not to be acknowledged
+   */
+  _guardInvalidation () {
+    const concerns = this._concerns.invalidate
+    const mode = (readPreference) => typeof readPreference === 'string' ? readPreference : readPreference?.mode
+
+    if (concerns.readPreference !== undefined && mode(concerns.readPreference) !== 'primary') {
+      throw new Error('readPreference.invalidate must be primary')
+    }
+    if (concerns.writeConcern !== undefined && concerns.writeConcern.w === 0) {
+      throw new Error('writeConcern.invalidate must be acknowledged')
+    }
+
+    const collectionMode = mode(this.collection.readPreference)
+    if (concerns.readPreference === undefined && collectionMode !== undefined && collectionMode !== 'primary') {
+      concerns.readPreference = 'primary'
+    }
+    if (concerns.writeConcern === undefined && this.collection.writeConcern?.w === 0) {
+      concerns.writeConcern = { w: 1 }
+    }
   }
 
   /**
-   * Initialize TTL indexes for automatic expiration.
+   * Options of a read command (find, findOne, countDocuments, distinct) of a kind of operation.
    * @private
+   * @param {string} kind - 'read', 'write' or 'invalidate'
+   * @param {Object} [options] - Command options
+   * @param {string} [timeoutMode] - Cursor timeout mode, see _commandOptions()
+   * @returns {Object} Command options
    */
-  async _initializeTTLIndexes () {
-    // Create TTL index on expireAt field for automatic document expiration
-    await this.collection.createIndex(
-      { expireAt: 1 },
-      { expireAfterSeconds: 0, background: true }
-    )
+  _readOptions (kind, options = {}, timeoutMode) {
+    const { readPreference, readConcern } = this._concerns[kind]
+    if (readPreference !== undefined) {
+      options = { ...options, readPreference }
+    }
+    if (readConcern !== undefined) {
+      options = { ...options, readConcern }
+    }
+    return this._commandOptions(kind, options, timeoutMode)
   }
 
   /**
-   * Hash a key using SHA-256.
-   * Keys exceeding maxKeyLength are automatically hashed for consistency.
-   *
+   * Options of a write command of a kind of operation.
    * @private
-   * @param {string} key - Key to hash
-   * @returns {string} Hashed key or original if below max length
+   * @param {string} kind - 'read', 'write' or 'invalidate'
+   * @param {Object} [options] - Command options
+   * @returns {Object} Command options
    */
-  _hashKey (key) {
-    if (key.length <= this.maxKeyLength) {
-      return key
-    }
-    return crypto.createHash('sha256').update(key).digest('hex')
+  _writeOptions (kind, options = {}) {
+    const { writeConcern } = this._concerns[kind]
+    return this._commandOptions(kind, writeConcern === undefined ? options : { ...options, writeConcern })
   }
 
   /**
-   * Get the full value key with prefix.
+   * Options of a write command whose result is needed, which an unacknowledged write does not return.
+   * A `w: 0` write concern, configured or inherited from the collection, is raised to `{ w: 1 }`.
    * @private
-   * @param {string} key - Original key
-   * @returns {string} Prefixed and potentially hashed key
+   * @param {string} kind - 'read', 'write' or 'invalidate'
+   * @param {Object} [options] - Command options
+   * @returns {Object} Command options
    */
-  _getValueKey (key) {
-    return this.valuePrefix + this._hashKey(key)
+  _acknowledgedWriteOptions (kind, options = {}) {
+    const result = this._writeOptions(kind, options)
+    if ((result.writeConcern ?? this.collection.writeConcern)?.w === 0) {
+      result.writeConcern = { w: 1 }
+    }
+    return result
   }
 
   /**
-   * Get the full reference key with prefix.
+   * Options of a MongoDB command, with the timeout of its kind of operation.
    * @private
-   * @param {string} reference - Reference name
-   * @returns {string} Prefixed and potentially hashed reference
+   * @param {string} kind - 'read', 'write' or 'invalidate'
+   * @param {Object} [options] - Command options
+   * @param {string} [timeoutMode] - Cursor timeout mode, 'iteration' to bound each batch instead of the cursor
+   * @returns {Object} Command options
    */
-  _getReferenceKey (reference) {
-    return this.referencePrefix + this._hashKey(reference)
+  _commandOptions (kind, options = {}, timeoutMode) {
+    const timeoutMS = this.timeouts[kind]
+    if (!timeoutMS) {
+      return options
+    }
+    return timeoutMode ? { ...options, timeoutMS, timeoutMode } : { ...options, timeoutMS }
   }
 
   /**
-   * Calculate expiration date from TTL.
+   * Run a data operation in its tracing channel, recording its latency and failure.
+   * Transient errors are retried first (see the retry option); the breaker and metrics
+   * see the outcome of the last attempt.
    * @private
-   * @param {number} ttl - Time to live in seconds
-   * @returns {Date|null} Expiration date or null for no expiration
+   * @param {string} operation - Operation name
+   * @param {Array} args - Operation arguments, published to tracing subscribers
+   * @param {Function} fn - Operation implementation
+   * @returns {Promise<*>} Result of the operation
    */
-  _getExpirationDate (ttl) {
-    if (!ttl || ttl <= 0) {
-      return null
+  _instrument (operation, args, fn) {
+    const onRetry = (err, attempt) => {
+      this._metrics.increment('retries')
+      this.emit('retry', { operation, attempt, err })
     }
-    return new Date(Date.now() + ttl * 1000)
+    const attempt = this.retry ? () => withRetry(fn, this.retry, onRetry) : fn
+
+    return trace(operation, args, this.namespace, async () => {
+      const start = performance.now()
+      try {
+        return this._breaker ? await this._breaker.run(attempt) : await attempt()
+      } catch (err) {
+        this._metrics.error(operation)
+        if (this._breaker && isUnavailableError(err)) {
+          return this._failOpen(operation, args, err)
+        }
+        throw err
+      } finally {
+        this._metrics.observe(operation, (performance.now() - start) / 1000)
+      }
+    })
   }
 
   /**
-   * Retrieve a cached value.
-   *
-   * @param {string} key - Cache key
-   * @returns {Promise<*>} Cached value or undefined if not found
+   * State of the fail-open circuit breaker.
+   * @returns {string|null} 'closed', 'open' or 'halfOpen', or null when failOpen is disabled
    */
-  async get (key) {
-    const valueKey = this._getValueKey(key)
-    const doc = await this.collection.findOne({ _id: valueKey })
-    return doc ? doc.value : undefined
+  get breakerState () {
+    return this._breaker ? this._breaker.state : null
   }
 
   /**
-   * Store a value with optional TTL and references.
-   *
-   * @param {string} key - Cache key
-   * @param {*} value - Value to cache (must be serializable)
-   * @param {number} ttl - Time to live in seconds (0 = no expiry)
-   * @param {Array<string>} [references] - Optional reference keys for invalidation
-   * @returns {Promise<void>}
+   * Resolve an operation that failed because MongoDB is unavailable, in fail-open mode.
+   * Reads fall back to the L1 (if any) or a miss; writes evict the L1 entry and resolve.
+   * Invalidation and clear() still reject, as ignoring them would serve stale values.
+   * @private
+   * @param {string} operation - Operation name
+   * @param {Array} args - Operation arguments
+   * @param {Error} err - Operation error
+   * @returns {*} Fallback result
    */
-  async set (key, value, ttl, references) {
-    const valueKey = this._getValueKey(key)
-    const expireAt = this._getExpirationDate(ttl)
+  _failOpen (operation, args, err) {
+    if (operation === 'invalidate' || operation === 'clear') {
+      throw err
+    }
 
-    const doc = {
-      _id: valueKey,
-      value,
-      createdAt: new Date()
+    // Rejections of an open circuit were already reported by the failures that opened it
+    if (!(err instanceof CircuitOpenError)) {
+      this.logger.warn({ err, operation }, `mongo-cache-dedupe: ${operation} failed, continuing without the cache`)
     }
 
-    if (expireAt) {
-      doc.expireAt = expireAt
+    const [arg] = args
+    switch (operation) {
+      case 'get':
+        return this.l1?.get(arg)
+      case 'getWithStatus': {
+        const value = this.l1?.get(arg)
+        return value === undefined ? { value, status: 'miss' } : { value, status: 'fresh' }
+      }
+      case 'getMany':
+        return arg.map(key => this.l1?.get(key))
+      case 'exists':
+        return this.l1?.has(arg) ?? false
+      case 'getTTL':
+        return 0
+      case 'setMany':
+        arg.forEach(entry => this.l1?.delete(entry.key))
+        return undefined
+      case 'removeMany':
+        arg.forEach(key => this.l1?.delete(key))
+        return { values: 0, references: 0 }
+      case 'remove':
+        this.l1?.delete(arg)
+        return { values: 0, references: 0 }
+      case 'acquireLease':
+        // Without MongoDB every process computes the value itself, as without leases
+        return args[2]
+      case 'releaseLease':
+        return false
+      default:
+        // set and refresh
+        this.l1?.delete(arg)
+        return undefined
     }
+  }
 
-    await this.collection.replaceOne(
-      { _id: valueKey },
-      doc,
-      { upsert: true }
-    )
+  /**
+   * Watch cache events from every process sharing the collection (and namespace).
+   * Requires a replica set or sharded cluster. `set` events are always available;
+   * `remove`, `invalidate` and `clear` events are only published by instances with publishEvents enabled.
+   *
+   * @param {Object} [options] - Watch options
+   * @param {Object} [options.resumeAfter] - Resume token to start after, e.g. a persisted `watcher.resumeToken`
+   * @param {number} [options.retryDelay=1000] - Delay in milliseconds before reopening a failed change stream
+   * @returns {CacheWatcher} Event emitter for `set`, `remove`, `invalidate`, `clear` and `error`
+   */
+  watch (options) {
+    const watcher = new CacheWatcher(this, options)
+    this._watchers.add(watcher)
+    return watcher
+  }
 
-    // Store references if provided
-    if (references && references.length > 0) {
-      await this._storeReferences(key, references, ttl)
+  /**
+   * Publish a cache event for watchers in other processes.
+   * Failures are ignored: the operation itself has already succeeded.
+   * @private
+   * @param {string} type - Event type (remove, invalidate or clear)
+   * @param {Object} event - Event data
+   * @param {Array<string>} [event.keys] - Affected cache keys
+   * @param {Array<string>} [event.references] - Affected references or patterns
+   * @param {boolean} [event.truncated] - Whether keys lists only part of the affected keys
+   * @param {string} [prefix] - Event prefix, for events of another namespace
+   * @returns {Promise<void>}
+   */
+  async _publish (type, { keys = [], references = [], truncated = false }, prefix = this.eventPrefix) {
+    if (!this.publishEvents) {
+      return
+    }
+
+    try {
+      await this.collection.insertOne({
+        _id: prefix + crypto.randomUUID(),
+        type,
+        keys: keys.slice(0, EVENT_KEYS_LIMIT),
+        references,
+        truncated: truncated || keys.length > EVENT_KEYS_LIMIT,
+        createdAt: new Date(),
+        expireAt: this._getExpirationDate(EVENT_TTL)
+      }, this._writeOptions('invalidate'))
+    } catch (err) {
+      // Best effort only
     }
   }
 
   /**
-   * Store reference mappings for a cache entry.
+   * Keep the L1 tier coherent with writes from peers, through watch().
    * @private
-   * @param {string} key - Cache key
-   * @param {Array<string>} references - Reference keys
-   * @param {number} ttl - Time to live in seconds
-   * @returns {Promise<void>}
    */
-  async _storeReferences (key, references, ttl) {
-    const expireAt = this._getExpirationDate(ttl)
+  _syncL1 () {
+    const watcher = this.watch()
+    const evict = ({ keys, truncated }) => this._evictL1(keys, truncated)
 
-    const operations = references.map(reference => {
-      const referenceKey = this._getReferenceKey(reference)
-      const updateDoc = {
-        $addToSet: { keys: key },
-        $setOnInsert: { createdAt: new Date() }
-      }
+    watcher.on('set', evict)
+    watcher.on('remove', evict)
+    watcher.on('invalidate', evict)
+    watcher.on('clear', () => this.l1.clear())
 
-      if (expireAt) {
-        updateDoc.$set = { expireAt }
-      }
+    // Events may have been missed while the change stream was down
+    watcher.on('error', () => this.l1.clear())
+  }
 
-      return {
-        updateOne: {
-          filter: { _id: referenceKey },
-          update: updateDoc,
-          upsert: true
-        }
-      }
-    })
+  /**
+   * Evict keys from the L1 tier, or everything when the key list is incomplete.
+   * @private
+   * @param {Iterable<string>} keys - Cache keys
+   * @param {boolean} truncated - Whether keys lists only part of the affected keys
+   */
+  _evictL1 (keys, truncated) {
+    if (!this.l1) {
+      return
+    }
+
+    if (truncated) {
+      this.l1.clear()
+      return
+    }
 
-    await this.collection.bulkWrite(operations, { ordered: false })
+    for (const key of keys) {
+      this.l1.delete(key)
+    }
   }
 
   /**
-   * Remove a cached value.
+   * Stop background work (scheduled pruning and eviction, and watchers).
+   * Does not close the MongoDB client, which the caller owns.
    *
-   * @param {string} key - Cache key to remove
    * @returns {Promise<void>}
    */
-  async remove (key) {
-    const valueKey = this._getValueKey(key)
-    await this.collection.deleteOne({ _id: valueKey })
+  async close () {
+    if (this._pruneTimer) {
+      clearInterval(this._pruneTimer)
+      this._pruneTimer = null
+    }
+
+    if (this._evictionTimer) {
+      clearInterval(this._evictionTimer)
+      this._evictionTimer = null
+    }
+
+    await Promise.all(Array.from(this._watchers, watcher => watcher.close()))
   }
 
   /**
    * Invalidate cache entries by references.
    * Supports both exact match and wildcard patterns (e.g., 'user:*').
+   * Does nothing when invalidation is disabled.
    *
    * @param {string|Array<string>} references - Reference(s) to invalidate
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Invalidation options
+   * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+   * @param {number} [options.batchSize] - Override invalidationBatchSize for this call
+   * @param {number} [options.throttle] - Override invalidationThrottle for this call
+   * @returns {Promise<{values: number, references: number, keys?: Array<string>}>} Number of value and
+   *   reference documents deleted; with dryRun, the counts that would be deleted and the affected cache keys
    */
-  async invalidate (references) {
+  async invalidate (references, options = {}) {
+    const dryRun = options.dryRun === true
+    const run = {
+      dryRun,
+      batchSize: options.batchSize || this.invalidationBatchSize,
+      throttle: options.throttle ?? this.invalidationThrottle,
+      // How many affected keys to collect: all of them for a preview, a sample for events and L1 eviction
+      keyLimit: dryRun ? Infinity : this.publishEvents ? EVENT_KEYS_LIMIT + 1 : 0
+    }
+    const result = { values: 0, references: 0 }
+    const affectedKeys = new Set()
     const refs = Array.isArray(references) ? references : [references]
 
-    for (const reference of refs) {
-      if (reference.includes('*')) {
-        await this._invalidateByPattern(reference)
-      } else {
-        await this._invalidateByReference(reference)
+    if (this.invalidation) {
+      for (const reference of refs) {
+        const matched = reference.includes('*')
+          ? await this._invalidateByPattern(reference, run)
+          : await this._invalidateByReference(reference, run)
+
+        result.values += matched.values
+        result.references += matched.references
+        matched.keys.forEach(key => affectedKeys.add(key))
+      }
+    }
+
+    if (!dryRun) {
+      this._metrics.increment('invalidations')
+      this._metrics.increment('invalidatedValues', result.values)
+      this._metrics.increment('invalidatedReferences', result.references)
+      if (this.invalidation) {
+        this._evictL1(affectedKeys, affectedKeys.size > EVENT_KEYS_LIMIT)
+        await this._publish('invalidate', { keys: Array.from(affectedKeys), references: refs })
       }
+      return result
+    }
+
+    // Count the keys that still have a live value, i.e. what would actually be dropped
+    const keys = Array.from(affectedKeys)
+    if (keys.length > 0) {
+      result.values = await this.collection.countDocuments({
+        _id: { $in: keys.map(key => this._getValueKey(key)) },
+        expireAt: { $not: { $lte: new Date() } }
+      }, this._readOptions('invalidate'))
     }
+
+    return { ...result, keys }
   }
 
   /**
    * Invalidate by exact reference match.
    * @private
    * @param {string} reference - Reference to invalidate
-   * @returns {Promise<void>}
+   * @param {Object} run - Invalidation run options (dryRun, batchSize, throttle, keyLimit)
+   * @returns {Promise<{keys: Set<string>, values: number, references: number}>} Affected keys (up to
+   *   run.keyLimit) and deleted counts
    */
-  async _invalidateByReference (reference) {
-    const referenceKey = this._getReferenceKey(reference)
-
-    // Get all keys associated with this reference
-    const refDoc = await this.collection.findOne({ _id: referenceKey })
-
-    if (!refDoc || !refDoc.keys) {
-      return
-    }
-
-    // Remove all associated cache entries
-    const valueKeys = refDoc.keys.map(key => this._getValueKey(key))
-    if (valueKeys.length > 0) {
-      await this.collection.deleteMany({
-        _id: { $in: valueKeys }
-      })
-    }
-
-    // Remove the reference document itself
-    await this.collection.deleteOne({ _id: referenceKey })
+  async _invalidateByReference (reference, run) {
+    return this._invalidateMatching(reference, this._getReferenceKey(reference), run)
   }
 
   /**
    * Invalidate by pattern match (wildcard support).
    * @private
    * @param {string} pattern - Pattern with wildcards (e.g., 'user:*')
-   * @returns {Promise<void>}
+   * @param {Object} run - Invalidation run options (dryRun, batchSize, throttle, keyLimit)
+   * @returns {Promise<{keys: Set<string>, values: number, references: number}>} Affected keys (up to
+   *   run.keyLimit) and deleted counts
    */
-  async _invalidateByPattern (pattern) {
-    // Convert wildcard pattern to regex
-    const regexPattern = '^' + this.referencePrefix + pattern
-      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
-      .replace(/\*/g, '.*')
+  async _invalidateByPattern (pattern, run) {
+    // Convert wildcard pattern to regex, scoped to this instance's references
+    const regexPattern = '^' + escapeRegex(this.referencePrefix) + pattern
+      .split('*')
+      .map(escapeRegex)
+      .join('.*')
 
-    // Find all matching reference documents
-    const refDocs = await this.collection.find({
-      _id: { $regex: regexPattern }
-    }).toArray()
+    return this._invalidateMatching(pattern, { $regex: regexPattern }, run)
+  }
 
-    if (refDocs.length === 0) {
-      return
-    }
+  /**
+   * Invalidate every reference whose prefixed key matches a condition, in either layout.
+   * Matching reference documents are streamed with a cursor and deleted in batches, so
+   * memory use and command size stay bounded however many keys match.
+   * @private
+   * @param {string} reference - Reference or pattern being invalidated, for progress events
+   * @param {string|Object} condition - Exact reference key or query condition on it
+   * @param {Object} run - Invalidation run options (dryRun, batchSize, throttle, keyLimit)
+   * @returns {Promise<{keys: Set<string>, values: number, references: number}>} Affected keys (up to
+   *   run.keyLimit) and deleted counts
+   */
+  async _invalidateMatching (reference, condition, run) {
+    const pair = this.referenceLayout === 'pair'
+    const filter = pair ? { ref: condition } : { _id: condition }
+    const result = { keys: new Set(), values: 0, references: 0 }
 
-    // Collect all keys from all matching references
-    const allKeys = new Set()
-    const referenceIds = []
+    // Invalidations run for as many batches as needed, so the timeout bounds each batch
+    const cursor = this.collection.find(filter, this._readOptions('invalidate', {}, 'iteration'))
+      .project(pair ? { key: 1 } : { keys: 1 })
+      .batchSize(run.batchSize)
 
-    for (const refDoc of refDocs) {
-      referenceIds.push(refDoc._id)
-      if (refDoc.keys) {
-        refDoc.keys.forEach(key => allKeys.add(key))
+    if (run.dryRun) {
+      for await (const refDoc of cursor) {
+        result.references++
+        for (const key of pair ? [refDoc.key] : refDoc.keys || []) {
+          result.keys.add(key)
+        }
       }
+      return result
     }
 
-    // Remove all associated cache entries
-    if (allKeys.size > 0) {
-      const valueKeys = Array.from(allKeys).map(key => this._getValueKey(key))
-      await this.collection.deleteMany({
+    let batches = 0
+    let pendingKeys = new Set()
+    let pendingReferenceIds = []
+
+    // Remove associated cache entries before the references that point to them
+    const flushValues = async () => {
+      if (pendingKeys.size === 0) {
+        return
+      }
+      const valueKeys = Array.from(pendingKeys, key => this._getValueKey(key))
+      pendingKeys = new Set()
+      const chunked = await this.collection.find({
+        _id: { $in: valueKeys },
+        chunks: { $exists: true }
+      }, this._readOptions('invalidate')).project({ chunks: 1 }).toArray()
+      const { deletedCount } = await this.collection.deleteMany({
         _id: { $in: valueKeys }
-      })
+      }, this._writeOptions('invalidate'))
+      await this._deleteChunks(chunked, 'invalidate')
+      result.values += deletedCount
+      await endBatch()
     }
 
-    // Remove all reference documents
-    if (referenceIds.length > 0) {
-      await this.collection.deleteMany({
+    const flushReferences = async () => {
+      await flushValues()
+      if (pendingReferenceIds.length === 0) {
+        return
+      }
+      const referenceIds = pendingReferenceIds
+      pendingReferenceIds = []
+      const { deletedCount } = await this.collection.deleteMany({
         _id: { $in: referenceIds }
+      }, this._writeOptions('invalidate'))
+      result.references += deletedCount
+      await endBatch()
+    }
+
+    const endBatch = async () => {
+      batches++
+      this.emit('invalidateProgress', {
+        reference,
+        batches,
+        values: result.values,
+        references: result.references
       })
+      if (run.throttle > 0) {
+        await sleep(run.throttle)
+      }
+    }
+
+    for await (const refDoc of cursor) {
+      for (const key of pair ? [refDoc.key] : refDoc.keys || []) {
+        if (result.keys.size < run.keyLimit) {
+          result.keys.add(key)
+        }
+        pendingKeys.add(key)
+        if (pendingKeys.size >= run.batchSize) {
+          await flushValues()
+        }
+      }
+
+      pendingReferenceIds.push(refDoc._id)
+      if (pendingReferenceIds.length >= run.batchSize) {
+        await flushReferences()
+      }
     }
+
+    await flushReferences()
+
+    return result
   }
 
   /**
-   * Clear all cache entries.
+   * Clear all cache entries of this instance's namespace.
    *
-   * @returns {Promise<void>}
+   * @returns {Promise<{values: number, references: number}>} Number of value and reference documents deleted
    */
   async clear () {
-    // Remove all documents with value or reference prefix
-    await this.collection.deleteMany({
+    // Remove all documents with value prefix, then with reference prefix
+    const values = await this.collection.deleteMany({
+      _id: { $regex: '^' + escapeRegex(this.valuePrefix) }
+    }, this._writeOptions('invalidate'))
+
+    const prefixes = [this.referencePrefix, this.pairPrefix].map(escapeRegex)
+    const references = await this.collection.deleteMany({
       _id: {
-        $regex: `^(${this.valuePrefix}|${this.referencePrefix})`
+        $regex: `^(${prefixes.join('|')})`
       }
-    })
+    }, this._writeOptions('invalidate'))
+
+    await this.collection.deleteMany({
+      _id: { $regex: '^' + escapeRegex(this.chunkPrefix) }
+    }, this._writeOptions('invalidate'))
+
+    this.l1?.clear()
+    await this._publish('clear', {})
+
+    return { values: values.deletedCount, references: references.deletedCount }
+  }
+
+  /**
+   * List the namespaces that currently hold cache entries in the collection.
+   *
+   * @returns {Promise<Array<string>>} Sorted namespace names
+   */
+  async listNamespaces () {
+    const namespaces = await this.collection.distinct('namespace', {
+      _id: { $regex: '^n:' }
+    }, this._readOptions('read'))
+    return namespaces.sort()
+  }
+
+  /**
+   * Clear all cache entries of any namespace, e.g. from an admin instance.
+   *
+   * @param {string} namespace - Namespace to clear
+   * @returns {Promise<{values: number, references: number}>} Number of value and reference documents deleted
+   */
+  async clearNamespace (namespace) {
+    validateNamespace(namespace)
+    const prefix = escapeRegex(namespacePrefix(namespace))
+
+    const values = await this.collection.deleteMany({
+      _id: { $regex: `^${prefix}v:` }
+    }, this._writeOptions('invalidate'))
+    const references = await this.collection.deleteMany({
+      _id: { $regex: `^${prefix}(r|p):` }
+    }, this._writeOptions('invalidate'))
+
+    // Chunks, events and leases of the namespace are deleted too, but not counted
+    await this.collection.deleteMany({
+      _id: { $regex: '^' + prefix }
+    }, this._writeOptions('invalidate'))
+
+    if (namespace === this.namespace) {
+      this.l1?.clear()
+    }
+    await this._publish('clear', {}, namespacePrefix(namespace) + 'e:')
+
+    return { values: values.deletedCount, references: references.deletedCount }
   }
 
   /**
@@ -314,10 +2445,24 @@ class MongoStorage {
       ? { $set: { expireAt } }
       : { $unset: { expireAt: '' } }
 
-    await this.collection.updateOne(
+    // The chunks to extend are learnt from the updated document
+    const doc = await this.collection.findOneAndUpdate(
       { _id: valueKey },
-      updateDoc
+      updateDoc,
+      this._acknowledgedWriteOptions('write', { projection: { chunks: 1 } })
     )
+
+    // The L1 entry may outlive a shortened TTL; evicted after the update so a concurrent read cannot restore it
+    this.l1?.delete(key)
+
+    // Chunks expire with their value
+    if (doc?.chunks) {
+      await this.collection.updateMany(
+        { _id: { $in: this._getChunkIds(doc.chunks) } },
+        updateDoc,
+        this._writeOptions('write')
+      )
+    }
   }
 
   /**
@@ -329,12 +2474,19 @@ class MongoStorage {
   async getTTL (key) {
     const valueKey = this._getValueKey(key)
 
-    const doc = await this.collection.findOne(
-      { _id: valueKey },
-      { projection: { expireAt: 1 } }
-    )
+    const doc = await this._findValue(valueKey, { projection: { expireAt: 1 } })
 
-    if (!doc || !doc.expireAt) {
+    return doc ? this._getRemainingTTL(doc) : 0
+  }
+
+  /**
+   * Remaining TTL of a document in seconds.
+   * @private
+   * @param {Object} doc - Stored document
+   * @returns {number} TTL in seconds, 0 if no expiry or expired
+   */
+  _getRemainingTTL (doc) {
+    if (!doc.expireAt) {
       return 0
     }
 
@@ -342,6 +2494,55 @@ class MongoStorage {
     return Math.max(0, ttl)
   }
 
+  /**
+   * Describe a stored entry with all its metadata, for debugging.
+   * Reads MongoDB directly, bypassing the L1, and reports expired documents
+   * the TTL monitor has not removed yet instead of deleting them.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry details, or null if no document exists:
+   *   { key, id, value, status, createdAt, expireAt, freshUntil, ttl, size, codec, compression, chunks, references }
+   */
+  async inspect (key) {
+    const id = this._getValueKey(key)
+    const doc = await this.collection.findOne({ _id: id }, this._readOptions('read'))
+
+    if (!doc) {
+      return null
+    }
+
+    // Stored size of the value document, plus the payload held in its chunks
+    let size = BSON.calculateObjectSize(doc)
+    const [loaded] = await this._loadChunks([doc])
+    if (loaded && doc.chunks) {
+      size += payloadSize(doc.value, doc.chunks.format)
+    }
+
+    let status = 'fresh'
+    if (this._isExpired(doc)) {
+      status = 'expired'
+    } else if (doc.freshUntil && doc.freshUntil.getTime() <= Date.now()) {
+      status = 'stale'
+    }
+
+    return {
+      key,
+      id,
+      // Undefined when chunks are missing, e.g. after a concurrent overwrite
+      value: loaded ? await this._decodeValue(doc) : undefined,
+      status,
+      createdAt: doc.createdAt,
+      expireAt: doc.expireAt || null,
+      freshUntil: doc.freshUntil || null,
+      ttl: this._getRemainingTTL(doc),
+      size,
+      codec: doc.codec || CODECS.bson.name,
+      compression: doc.compression ? doc.compression.algorithm : null,
+      chunks: doc.chunks ? doc.chunks.count : 0,
+      references: doc.references || []
+    }
+  }
+
   /**
    * Check if a key exists in the cache.
    *
@@ -349,14 +2550,147 @@ class MongoStorage {
    * @returns {Promise<boolean>} True if key exists
    */
   async exists (key) {
+    if (this.l1?.has(key)) {
+      return true
+    }
+
     const valueKey = this._getValueKey(key)
 
-    const count = await this.collection.countDocuments(
-      { _id: valueKey },
-      { limit: 1 }
+    const doc = await this._findValue(valueKey, { projection: { expireAt: 1 } })
+    return doc !== null
+  }
+
+  /**
+   * Try to take the lease of a key, to compute its value in one process of the whole fleet.
+   * The lease is a document with a unique _id, so exactly one caller can hold it until it is
+   * released or its ttl expires. Other callers should wait for the value with waitForValue().
+   *
+   * @param {string} key - Cache key
+   * @param {number} ttl - Lease lifetime in seconds, bounding how long a crashed holder blocks the key
+   * @returns {Promise<string|null>} Lease token to pass to releaseLease(), or null if another caller holds the lease
+   */
+  acquireLease (key, ttl) {
+    // Drawn once per call, so that a retried attempt recognizes the lease it already took
+    const token = crypto.randomUUID()
+    return this._instrument('acquireLease', [key, ttl, token], () => this._acquireLease(key, ttl, token))
+  }
+
+  /**
+   * Insert the lease document of a key, or take over a lease that has expired.
+   * @private
+   * @param {string} key - Cache key
+   * @param {number} ttl - Lease lifetime in seconds
+   * @param {string} token - Token identifying this holder
+   * @returns {Promise<string|null>} The token, or null if the lease is held by another caller
+   */
+  async _acquireLease (key, ttl, token) {
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+      throw new Error('ttl must be a positive number')
+    }
+
+    const leaseKey = this._getLeaseKey(key)
+    const now = new Date()
+    const lease = {
+      key,
+      token,
+      createdAt: now,
+      expireAt: this._getExpirationDate(ttl)
+    }
+
+    if (this.namespace !== undefined) {
+      lease.namespace = this.namespace
+    }
+
+    // Leases need acknowledged writes on the primary, like invalidations
+    try {
+      await this.collection.insertOne({ _id: leaseKey, ...lease }, this._writeOptions('invalidate'))
+      return token
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err
+      }
+    }
+
+    // The lease exists: take it over only if it has expired and the TTL monitor has not removed it yet
+    const taken = await this.collection.findOneAndUpdate(
+      { _id: leaseKey, $or: [{ token }, { expireAt: { $lte: now } }] },
+      { $set: lease },
+      this._writeOptions('invalidate', { projection: { _id: 1 } })
     )
-    return count > 0
+    return taken ? token : null
+  }
+
+  /**
+   * Release a lease taken with acquireLease(), typically once the value has been set.
+   *
+   * @param {string} key - Cache key
+   * @param {string} token - Token returned by acquireLease()
+   * @returns {Promise<boolean>} True if the lease was released, false if it was no longer held
+   *   with this token (expired, or taken over after expiring)
+   */
+  async releaseLease (key, token) {
+    const { deletedCount } = await this.collection.deleteOne(
+      { _id: this._getLeaseKey(key), token },
+      this._writeOptions('invalidate')
+    )
+    return deletedCount === 1
+  }
+
+  /**
+   * Wait for the holder of a key's lease to store its value.
+   * Polls MongoDB until the value exists, the lease is released or expires without a value,
+   * or the timeout elapses. Callers getting undefined should compute the value themselves,
+   * e.g. after trying acquireLease() again.
+   *
+   * @param {string} key - Cache key
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=5000] - Maximum wait in milliseconds
+   * @param {number} [options.interval=50] - Delay in milliseconds between polls
+   * @returns {Promise<*>} Cached value, or undefined if none was stored in time
+   */
+  async waitForValue (key, options = {}) {
+    const timeout = options.timeout ?? 5000
+    const interval = options.interval ?? 50
+    const deadline = Date.now() + timeout
+    const valueKey = this._getValueKey(key)
+    const leaseKey = this._getLeaseKey(key)
+
+    while (true) {
+      // Cheap existence checks while waiting; the value itself is only read once
+      if (this.l1?.has(key) || await this._findValue(valueKey, { projection: { expireAt: 1 } })) {
+        const value = await this.get(key)
+        if (value !== undefined) {
+          return value
+        }
+      }
+
+      const lease = await this.collection.findOne(
+        { _id: leaseKey },
+        this._readOptions('invalidate', { projection: { expireAt: 1 } })
+      )
+      if (!lease || this._isExpired(lease)) {
+        // The holder may have stored the value just before releasing the lease
+        return this.get(key)
+      }
+
+      if (Date.now() + interval > deadline) {
+        return undefined
+      }
+      await sleep(interval)
+    }
   }
 }
 
+// Trace every data operation and record its latency and errors
+for (const operation of INSTRUMENTED_OPERATIONS) {
+  const method = MongoStorage.prototype[operation]
+  Object.defineProperty(MongoStorage.prototype, operation, {
+    value: function (...args) {
+      return this._instrument(operation, args, () => method.apply(this, args))
+    },
+    writable: true,
+    configurable: true
+  })
+}
+
 module.exports = MongoStorage
@@ -0,0 +1,128 @@
+'use strict'
+
+const diagnosticsChannel = require('diagnostics_channel')
+
+// Tracing channels are named `tracing:mongo-cache-dedupe:<operation>:<event>`
+const CHANNEL_PREFIX = 'mongo-cache-dedupe'
+
+const EVENTS = ['start', 'end', 'asyncStart', 'asyncEnd', 'error']
+
+const channels = new Map()
+
+/**
+ * Get the tracing channel of an operation.
+ * @param {string} operation - Operation name
+ * @returns {Object|null} TracingChannel, or null when the runtime has no tracing channels
+ */
+function getChannel (operation) {
+  if (typeof diagnosticsChannel.tracingChannel !== 'function') {
+    return null
+  }
+
+  let channel = channels.get(operation)
+  if (!channel) {
+    channel = diagnosticsChannel.tracingChannel(`${CHANNEL_PREFIX}:${operation}`)
+    channels.set(operation, channel)
+  }
+  return channel
+}
+
+/**
+ * Build the context object published with every event of an operation.
+ * @param {string} operation - Operation name
+ * @param {Array} args - Operation arguments
+ * @param {string} [namespace] - Namespace of the storage
+ * @returns {Object} Trace context
+ */
+function createContext (operation, args, namespace) {
+  const context = { operation, namespace }
+
+  switch (operation) {
+    case 'set': {
+      const [key, , ttl, references] = args
+      context.key = key
+      context.ttl = ttl
+      context.referenceCount = references ? [].concat(references).length : 0
+      break
+    }
+    case 'getMany':
+    case 'removeMany':
+      context.keys = args[0]
+      break
+    case 'acquireLease':
+      context.key = args[0]
+      context.ttl = args[1]
+      break
+    case 'setMany':
+      context.keys = args[0].map(entry => entry.key)
+      context.referenceCount = args[0].reduce((count, entry) => count + (entry.references ? [].concat(entry.references).length : 0), 0)
+      break
+    case 'invalidate':
+      context.references = [].concat(args[0])
+      context.referenceCount = context.references.length
+      context.dryRun = args[1]?.dryRun === true
+      break
+    case 'clear':
+      break
+    default:
+      context.key = args[0]
+  }
+
+  return context
+}
+
+/**
+ * Describe the outcome of read operations on the context, as hit/miss.
+ * @param {Object} context - Trace context
+ * @param {*} result - Operation result
+ */
+function annotateResult (context, result) {
+  switch (context.operation) {
+    case 'get':
+      context.hit = result !== undefined
+      break
+    case 'getWithStatus':
+      context.hit = result.status !== 'miss'
+      context.status = result.status
+      break
+    case 'exists':
+      context.hit = result
+      break
+    case 'acquireLease':
+      context.acquired = result !== null
+      break
+    case 'getMany':
+      context.hits = result.filter(value => value !== undefined).length
+      context.misses = result.length - context.hits
+      break
+  }
+}
+
+/**
+ * Run an operation inside its tracing channel, publishing start, end, asyncStart,
+ * asyncEnd and error events. Runs the operation directly when nobody is subscribed.
+ *
+ * @param {string} operation - Operation name
+ * @param {Array} args - Operation arguments
+ * @param {string} [namespace] - Namespace of the storage
+ * @param {Function} fn - Operation implementation
+ * @returns {Promise<*>} Result of the operation
+ */
+function trace (operation, args, namespace, fn) {
+  const channel = getChannel(operation)
+  if (!channel || !EVENTS.some(event => channel[event].hasSubscribers)) {
+    return fn()
+  }
+
+  const context = createContext(operation, args, namespace)
+  return channel.tracePromise(async () => {
+    const result = await fn()
+    annotateResult(context, result)
+    return result
+  }, context)
+}
+
+module.exports = {
+  CHANNEL_PREFIX,
+  trace
+}
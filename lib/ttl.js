@@ -0,0 +1,103 @@
+'use strict'
+
+const { escapeRegex } = require('./utils')
+
+/**
+ * Check whether a TTL expires at all.
+ * @param {number} ttl - TTL in seconds
+ * @returns {boolean} True for a positive TTL, false for 0 (no expiry)
+ */
+function expires (ttl) {
+  return typeof ttl === 'number' && ttl > 0
+}
+
+/**
+ * Resolve the ttlPolicies option into an ordered list of matchers.
+ * @param {Object|undefined} option - `ttlPolicies` constructor option, keyed by key pattern
+ * @returns {Array<{pattern: string, regex: RegExp, ttl?: number, min?: number, max?: number}>} Policies,
+ *   in declaration order
+ */
+function resolveTTLPolicies (option) {
+  if (!option) {
+    return []
+  }
+
+  return Object.entries(option).map(([pattern, policy]) => {
+    const name = `ttlPolicies["${pattern}"]`
+    const { ttl, min, max } = policy || {}
+
+    if (ttl !== undefined && (typeof ttl !== 'number' || !(ttl >= 0))) {
+      throw new Error(`${name}.ttl must be a non-negative number`)
+    }
+    for (const [field, value] of [['min', min], ['max', max]]) {
+      if (value !== undefined && !expires(value)) {
+        throw new Error(`${name}.${field} must be a positive number`)
+      }
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new Error(`${name}.min must be no greater than ${name}.max`)
+    }
+
+    // Same wildcard syntax as invalidate(): `*` matches any characters
+    const regex = new RegExp('^' + pattern.split('*').map(escapeRegex).join('.*') + '$')
+    return { pattern, regex, ttl, min, max }
+  })
+}
+
+/**
+ * Apply the first policy whose pattern matches a key to its TTL.
+ * The override replaces the TTL, then `max` caps it (including no expiry) and `min` raises it.
+ * @param {Array<Object>} policies - Resolved policies
+ * @param {string} key - Cache key
+ * @param {number} ttl - TTL in seconds requested by the caller (0 = no expiry)
+ * @returns {number} TTL in seconds to store the value with
+ */
+function applyTTLPolicy (policies, key, ttl) {
+  const policy = policies.find(policy => policy.regex.test(key))
+  if (!policy) {
+    return ttl
+  }
+
+  let result = policy.ttl ?? ttl
+  if (policy.max !== undefined && (!expires(result) || result > policy.max)) {
+    result = policy.max
+  }
+  if (policy.min !== undefined && expires(result) && result < policy.min) {
+    result = policy.min
+  }
+  return result
+}
+
+/**
+ * Validate the ttlJitter option.
+ * @param {number|undefined} option - `ttlJitter` constructor option
+ * @returns {number} Fraction of the TTL by which expiry may be brought forward (0 = exact expiry)
+ */
+function resolveJitter (option) {
+  const jitter = option ?? 0
+  if (typeof jitter !== 'number' || !(jitter >= 0 && jitter < 1)) {
+    throw new Error('ttlJitter must be a number between 0 and 1')
+  }
+  return jitter
+}
+
+/**
+ * Shorten a TTL by a random fraction of up to `jitter`, so that entries written
+ * together do not all expire together. Jitter never extends a TTL.
+ * @param {number} ttl - TTL in seconds (0 = no expiry)
+ * @param {number} jitter - Resolved ttlJitter
+ * @returns {number} TTL in seconds
+ */
+function applyJitter (ttl, jitter) {
+  if (!jitter || !expires(ttl)) {
+    return ttl
+  }
+  return ttl * (1 - jitter * Math.random())
+}
+
+module.exports = {
+  resolveTTLPolicies,
+  applyTTLPolicy,
+  resolveJitter,
+  applyJitter
+}
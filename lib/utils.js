@@ -0,0 +1,14 @@
+'use strict'
+
+/**
+ * Escape a string for literal use inside a regular expression.
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegex (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+module.exports = {
+  escapeRegex
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const { escapeRegex } = require('./utils')
+
+/**
+ * Cross-process cache events, built on a MongoDB change stream over the cache collection.
+ * Requires a replica set or sharded cluster.
+ *
+ * Events (payload { keys, references, truncated, token }):
+ * - `set` when a value is written by any process
+ * - `remove`, `invalidate` and `clear` when a process with publishEvents enabled runs them
+ * - `error` when the change stream fails; the watcher then resumes from the last token
+ *
+ * @class CacheWatcher
+ * @extends EventEmitter
+ */
+class CacheWatcher extends EventEmitter {
+  /**
+   * Creates a CacheWatcher. Use MongoStorage#watch() instead of calling this directly.
+   *
+   * @param {Object} storage - MongoStorage instance to watch
+   * @param {Object} [options] - Watch options
+   * @param {Object} [options.resumeAfter] - Resume token to start after, e.g. a persisted `watcher.resumeToken`
+   * @param {number} [options.retryDelay=1000] - Delay in milliseconds before reopening a failed change stream
+   */
+  constructor (storage, options = {}) {
+    super()
+
+    this.storage = storage
+    this.resumeToken = options.resumeAfter || null
+    this.retryDelay = options.retryDelay ?? 1000
+    this.closed = false
+
+    this._stream = null
+    this._retryTimer = null
+
+    this._open()
+  }
+
+  /**
+   * Build the change stream pipeline.
+   * Only value writes and event documents of the storage's namespace are matched, and
+   * cached values are projected out so they never travel over the change stream.
+   * @private
+   * @returns {Array<Object>} Aggregation pipeline
+   */
+  _pipeline () {
+    return [
+      {
+        $match: {
+          $or: [
+            {
+              operationType: { $in: ['insert', 'replace'] },
+              'documentKey._id': { $regex: '^' + escapeRegex(this.storage.valuePrefix) }
+            },
+            {
+              operationType: 'insert',
+              'documentKey._id': { $regex: '^' + escapeRegex(this.storage.eventPrefix) }
+            }
+          ]
+        }
+      },
+      {
+        $project: {
+          operationType: 1,
+          documentKey: 1,
+          'fullDocument.key': 1,
+          'fullDocument.type': 1,
+          'fullDocument.keys': 1,
+          'fullDocument.references': 1,
+          'fullDocument.truncated': 1
+        }
+      }
+    ]
+  }
+
+  /**
+   * Open the change stream, resuming after the last seen token if any.
+   * @private
+   */
+  _open () {
+    const options = this.resumeToken ? { startAfter: this.resumeToken } : {}
+    const stream = this.storage.collection.watch(this._pipeline(), options)
+
+    // Also emitted for the post-batch token of empty batches, so that quiet periods are not replayed or lost
+    stream.on('resumeTokenChanged', token => { this.resumeToken = token })
+    stream.on('change', change => this._onChange(change))
+    stream.on('error', err => this._onError(stream, err))
+    stream.on('close', () => this._restart(stream))
+
+    this._stream = stream
+  }
+
+  /**
+   * Translate a change into a cache event.
+   * @private
+   * @param {Object} change - Change stream document
+   */
+  _onChange (change) {
+    this.resumeToken = change._id
+
+    const id = change.documentKey._id
+    const doc = change.fullDocument || {}
+    const event = {
+      keys: [],
+      references: [],
+      truncated: false,
+      token: change._id
+    }
+
+    if (id.startsWith(this.storage.eventPrefix)) {
+      event.keys = doc.keys || []
+      event.references = doc.references || []
+      event.truncated = doc.truncated === true
+      this.emit(doc.type, event)
+      return
+    }
+
+    event.keys = [doc.key ?? id.slice(this.storage.valuePrefix.length)]
+    event.references = doc.references || []
+    this.emit('set', event)
+  }
+
+  /**
+   * Report a change stream failure and reopen it.
+   * @private
+   * @param {Object} stream - Failed change stream
+   * @param {Error} err - Change stream error
+   */
+  _onError (stream, err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err)
+    }
+    this._restart(stream)
+  }
+
+  /**
+   * Reopen the change stream after retryDelay, unless the watcher was closed.
+   * @private
+   * @param {Object} stream - Change stream being replaced
+   */
+  _restart (stream) {
+    if (this.closed || stream !== this._stream) {
+      return
+    }
+
+    this._stream = null
+    this.resumeToken = stream.resumeToken ?? this.resumeToken
+    stream.close().catch(() => {})
+
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null
+      if (!this.closed) {
+        this._open()
+      }
+    }, this.retryDelay)
+    this._retryTimer.unref()
+  }
+
+  /**
+   * Stop watching.
+   *
+   * @returns {Promise<void>}
+   */
+  async close () {
+    this.closed = true
+
+    if (this._retryTimer) {
+      clearTimeout(this._retryTimer)
+      this._retryTimer = null
+    }
+
+    if (this._stream) {
+      const stream = this._stream
+      this._stream = null
+      await stream.close()
+    }
+
+    this.storage._watchers.delete(this)
+  }
+}
+
+module.exports = CacheWatcher
@@ -0,0 +1,83 @@
+'use strict'
+
+const { test } = require('node:test')
+const { strictEqual, ok } = require('node:assert')
+const LRUCache = require('../lib/lru')
+
+test('LRUCache constructor', async (t) => {
+  await t.test('should use defaults', () => {
+    const cache = new LRUCache()
+    strictEqual(cache.max, 1000)
+    strictEqual(cache.ttl, 10)
+  })
+
+  await t.test('should reject invalid options', () => {
+    for (const [options, message] of [
+      [{ max: 0 }, 'max must be a positive integer'],
+      [{ max: 1.5 }, 'max must be a positive integer'],
+      [{ ttl: 0 }, 'ttl must be a positive number']
+    ]) {
+      try {
+        new LRUCache(options) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, message)
+      }
+    }
+  })
+})
+
+test('LRUCache get/set', async (t) => {
+  await t.test('should set and get a value', () => {
+    const cache = new LRUCache()
+    cache.set('key1', { id: 1 })
+    strictEqual(cache.get('key1').id, 1)
+    strictEqual(cache.has('key1'), true)
+  })
+
+  await t.test('should return undefined for missing keys', () => {
+    const cache = new LRUCache()
+    strictEqual(cache.get('missing'), undefined)
+    strictEqual(cache.has('missing'), false)
+  })
+
+  await t.test('should evict the least recently used entry', () => {
+    const cache = new LRUCache({ max: 2 })
+    cache.set('key1', 1)
+    cache.set('key2', 2)
+    cache.get('key1')
+    cache.set('key3', 3)
+
+    strictEqual(cache.get('key1'), 1)
+    strictEqual(cache.get('key2'), undefined)
+    strictEqual(cache.get('key3'), 3)
+    strictEqual(cache.size, 2)
+  })
+
+  await t.test('should expire entries after ttl', async () => {
+    const cache = new LRUCache({ ttl: 0.01 })
+    cache.set('key1', 1)
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    strictEqual(cache.has('key1'), false)
+    strictEqual(cache.get('key1'), undefined)
+    strictEqual(cache.size, 0)
+  })
+
+  await t.test('should not outlive the value expiry', () => {
+    const cache = new LRUCache({ ttl: 60 })
+    cache.set('key1', 1, new Date(Date.now() - 1))
+    strictEqual(cache.get('key1'), undefined)
+  })
+
+  await t.test('should delete and clear entries', () => {
+    const cache = new LRUCache()
+    cache.set('key1', 1)
+    cache.set('key2', 2)
+
+    strictEqual(cache.delete('key1'), true)
+    strictEqual(cache.delete('key1'), false)
+    cache.clear()
+    strictEqual(cache.size, 0)
+  })
+})
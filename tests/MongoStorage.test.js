@@ -1,151 +1,413 @@
 'use strict'
 
 const { test } = require('node:test')
-const { deepStrictEqual, strictEqual, ok } = require('node:assert')
-const { MongoStorage } = require('..')
+const { deepStrictEqual, strictEqual, ok, rejects } = require('node:assert')
+const { EventEmitter, once } = require('node:events')
+const diagnosticsChannel = require('node:diagnostics_channel')
+const { MongoNetworkError, MongoServerError } = require('mongodb')
+const { MongoStorage, toPrometheus } = require('..')
+
+// Resolve a dotted path against a document
+function getPath (doc, path) {
+  return path.split('.').reduce((value, part) => value == null ? undefined : value[part], doc)
+}
+
+function compare (a, b) {
+  if (a instanceof Date) a = a.getTime()
+  if (b instanceof Date) b = b.getTime()
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+function equals (a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+  if (Array.isArray(a)) return a.some(item => equals(item, b))
+  return a === b
+}
+
+function matchesCondition (value, condition) {
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value)
+  }
+  if (condition === null) {
+    return value === null || value === undefined
+  }
+  if (typeof condition !== 'object' || condition instanceof Date) {
+    return equals(value, condition)
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$eq': return equals(value, operand)
+      case '$ne': return !equals(value, operand)
+      case '$in': return operand.some(item => matchesCondition(value, item))
+      case '$nin': return !operand.some(item => matchesCondition(value, item))
+      case '$exists': return (value !== undefined) === operand
+      case '$regex': return typeof value === 'string' && new RegExp(operand).test(value)
+      case '$gt': return value != null && compare(value, operand) > 0
+      case '$gte': return value != null && compare(value, operand) >= 0
+      case '$lt': return value != null && compare(value, operand) < 0
+      case '$lte': return value != null && compare(value, operand) <= 0
+      case '$not': return !matchesCondition(value, operand)
+      case '$size': return Array.isArray(value) && value.length === operand
+      default: throw new Error(`Unsupported operator ${op}`)
+    }
+  })
+}
+
+function matches (doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(sub => matches(doc, sub))
+    if (field === '$and') return condition.every(sub => matches(doc, sub))
+    return matchesCondition(getPath(doc, field), condition)
+  })
+}
+
+function project (doc, projection) {
+  if (!projection) return doc
+  const filtered = { _id: doc._id }
+  for (const [key, include] of Object.entries(projection)) {
+    if (include && doc[key] !== undefined) {
+      filtered[key] = doc[key]
+    }
+  }
+  return filtered
+}
+
+// Document map that reports writes, to feed mock change streams
+class ObservedMap extends Map {
+  constructor (onChange) {
+    super()
+    this.onChange = onChange
+  }
+
+  set (id, doc) {
+    const operationType = this.has(id) ? 'replace' : 'insert'
+    super.set(id, doc)
+    this.onChange(operationType, id, doc)
+    return this
+  }
+
+  delete (id) {
+    const deleted = super.delete(id)
+    if (deleted) {
+      this.onChange('delete', id)
+    }
+    return deleted
+  }
+}
+
+// Mock MongoDB change stream
+class MockChangeStream extends EventEmitter {
+  constructor (collection, pipeline, options) {
+    super()
+    this.collection = collection
+    this.match = pipeline.find(stage => stage.$match)?.$match || {}
+    this.options = options
+  }
+
+  push (change) {
+    if (matches(change, this.match)) {
+      setImmediate(() => this.emit('change', change))
+    }
+  }
+
+  async close () {
+    this.collection.streams.delete(this)
+    this.emit('close')
+  }
+}
 
 // Mock MongoDB collection
 class MockCollection {
   constructor () {
-    this.data = new Map()
+    this.data = new ObservedMap((operationType, id, doc) => this._emitChange(operationType, id, doc))
+    this.streams = new Set()
+    this.changeCounter = 0
+    this.indexList = [{ v: 2, key: { _id: 1 }, name: '_id_' }]
     this.s = { db: {} }
   }
 
-  async findOne (query, options) {
-    const id = query._id
-    if (id instanceof RegExp) {
-      for (const [key, value] of this.data.entries()) {
-        if (id.test(key)) {
-          return this._filterProjection(value, options?.projection)
-        }
-      }
-      return null
+  _filter (filter) {
+    if (filter && typeof filter._id === 'string') {
+      const doc = this.data.get(filter._id)
+      return doc && matches(doc, filter) ? [doc] : []
     }
-    const doc = this.data.get(id)
-    return doc ? this._filterProjection(doc, options?.projection) : null
+    return Array.from(this.data.values()).filter(doc => matches(doc, filter))
+  }
+
+  async findOne (filter, options) {
+    const [doc] = this._filter(filter)
+    return doc ? project(doc, options?.projection) : null
   }
 
-  find (query) {
-    const results = []
-    if (query._id?.$regex) {
-      const regex = new RegExp(query._id.$regex)
-      for (const [key, value] of this.data.entries()) {
-        if (regex.test(key)) {
-          results.push(value)
+  find (filter, options) {
+    let projection = options?.projection
+    let sort = null
+    const cursor = {
+      project: (value) => {
+        projection = value
+        return cursor
+      },
+      sort: (value) => {
+        sort = value
+        return cursor
+      },
+      batchSize: () => cursor,
+      toArray: async () => {
+        const docs = this._filter(filter)
+        if (sort) {
+          docs.sort((a, b) => {
+            for (const [field, direction] of Object.entries(sort)) {
+              // Missing fields sort first, as null does in MongoDB
+              const order = a[field] === undefined ? (b[field] === undefined ? 0 : -1) : b[field] === undefined ? 1 : compare(a[field], b[field])
+              if (order !== 0) return order * direction
+            }
+            return 0
+          })
         }
+        return docs.map(doc => project(doc, projection))
+      },
+      [Symbol.asyncIterator]: async function * () {
+        yield * await cursor.toArray()
       }
-    } else if (query._id?.$in) {
-      for (const id of query._id.$in) {
-        const doc = this.data.get(id)
-        if (doc) results.push(doc)
-      }
-    }
-    return {
-      toArray: async () => results
     }
+    return cursor
   }
 
   async replaceOne (filter, doc, options) {
-    if (options?.upsert) {
-      this.data.set(doc._id, { ...doc })
+    const [existing] = this._filter(filter)
+    if (existing || options?.upsert) {
+      const _id = existing ? existing._id : filter._id
+      this.data.set(_id, { ...doc, _id })
+      return { acknowledged: true, matchedCount: existing ? 1 : 0, modifiedCount: existing ? 1 : 0 }
     }
-    return { acknowledged: true, modifiedCount: 1 }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0 }
   }
 
-  async updateOne (filter, update, options) {
-    const existing = this.data.get(filter._id)
+  watch (pipeline = [], options = {}) {
+    const stream = new MockChangeStream(this, pipeline, options)
+    this.streams.add(stream)
+    return stream
+  }
 
-    if (!existing && options?.upsert) {
-      const newDoc = { _id: filter._id }
-      if (update.$setOnInsert) {
-        Object.assign(newDoc, update.$setOnInsert)
+  _emitChange (operationType, id, doc) {
+    const change = {
+      _id: { _data: String(++this.changeCounter) },
+      operationType,
+      documentKey: { _id: id }
+    }
+    if (doc) {
+      change.fullDocument = { ...doc }
+    }
+    for (const stream of this.streams) {
+      stream.push(change)
+    }
+  }
+
+  async insertOne (doc) {
+    if (this.data.has(doc._id)) {
+      const error = new Error('E11000 duplicate key error')
+      error.code = 11000
+      throw error
+    }
+    this.data.set(doc._id, { ...doc })
+    return { acknowledged: true, insertedId: doc._id }
+  }
+
+  async insertMany (docs) {
+    for (const doc of docs) {
+      await this.insertOne(doc)
+    }
+    return { acknowledged: true, insertedCount: docs.length }
+  }
+
+  async findOneAndReplace (filter, doc, options) {
+    const [existing] = this._filter(filter)
+    const before = existing ? project({ ...existing }, options?.projection) : null
+    await this.replaceOne(filter, doc, options)
+    return before
+  }
+
+  async findOneAndDelete (filter, options) {
+    const [existing] = this._filter(filter)
+    if (!existing) {
+      return null
+    }
+    this.data.delete(existing._id)
+    return project(existing, options?.projection)
+  }
+
+  _applyUpdate (doc, update, inserting) {
+    if (inserting && update.$setOnInsert) {
+      Object.assign(doc, update.$setOnInsert)
+    }
+    if (update.$set) {
+      Object.assign(doc, update.$set)
+    }
+    if (update.$unset) {
+      for (const key of Object.keys(update.$unset)) {
+        delete doc[key]
       }
-      if (update.$set) {
-        Object.assign(newDoc, update.$set)
+    }
+    if (update.$inc) {
+      for (const [key, value] of Object.entries(update.$inc)) {
+        doc[key] = (doc[key] || 0) + value
       }
-      if (update.$addToSet) {
-        for (const [key, value] of Object.entries(update.$addToSet)) {
-          newDoc[key] = [value]
+    }
+    if (update.$max) {
+      for (const [key, value] of Object.entries(update.$max)) {
+        if (doc[key] === undefined || compare(value, doc[key]) > 0) {
+          doc[key] = value
         }
       }
-      this.data.set(filter._id, newDoc)
-    } else if (existing) {
-      if (update.$set) {
-        Object.assign(existing, update.$set)
+    }
+    if (update.$min) {
+      for (const [key, value] of Object.entries(update.$min)) {
+        if (doc[key] === undefined || compare(value, doc[key]) < 0) {
+          doc[key] = value
+        }
       }
-      if (update.$unset) {
-        for (const key of Object.keys(update.$unset)) {
-          delete existing[key]
+    }
+    if (update.$pull) {
+      for (const [key, condition] of Object.entries(update.$pull)) {
+        if (Array.isArray(doc[key])) {
+          doc[key] = doc[key].filter(item => !matchesCondition(item, condition))
         }
       }
-      if (update.$addToSet) {
-        for (const [key, value] of Object.entries(update.$addToSet)) {
-          if (!existing[key]) {
-            existing[key] = []
-          }
-          if (!existing[key].includes(value)) {
-            existing[key].push(value)
+    }
+    if (update.$addToSet) {
+      for (const [key, value] of Object.entries(update.$addToSet)) {
+        const values = value && value.$each ? value.$each : [value]
+        if (!doc[key]) {
+          doc[key] = []
+        }
+        for (const item of values) {
+          if (!doc[key].includes(item)) {
+            doc[key].push(item)
           }
         }
       }
     }
-    return { acknowledged: true, modifiedCount: 1 }
+  }
+
+  async updateOne (filter, update, options) {
+    const [existing] = this._filter(filter)
+
+    if (!existing && options?.upsert) {
+      const newDoc = { _id: filter._id }
+      this._applyUpdate(newDoc, update, true)
+      this.data.set(filter._id, newDoc)
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 }
+    } else if (existing) {
+      this._applyUpdate(existing, update, false)
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 }
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0 }
+  }
+
+  async updateMany (filter, update) {
+    const docs = this._filter(filter)
+    for (const doc of docs) {
+      this._applyUpdate(doc, update, false)
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length }
+  }
+
+  async findOneAndUpdate (filter, update, options) {
+    const [existing] = this._filter(filter)
+    if (!existing) {
+      return null
+    }
+    const before = project({ ...existing }, options?.projection)
+    this._applyUpdate(existing, update, false)
+    return before
   }
 
   async bulkWrite (operations, options) {
-    const result = { ok: 1, nModified: 0 }
+    const result = { ok: 1, nModified: 0, deletedCount: 0 }
     for (const operation of operations) {
       if (operation.updateOne) {
         const { filter, update, upsert } = operation.updateOne
         await this.updateOne(filter, update, { upsert })
         result.nModified++
+      } else if (operation.replaceOne) {
+        const { filter, replacement, upsert } = operation.replaceOne
+        await this.replaceOne(filter, replacement, { upsert })
+        result.nModified++
+      } else if (operation.updateMany) {
+        const { filter, update } = operation.updateMany
+        result.nModified += (await this.updateMany(filter, update)).modifiedCount
+      } else if (operation.deleteOne) {
+        result.deletedCount += (await this.deleteOne(operation.deleteOne.filter)).deletedCount
+      } else if (operation.deleteMany) {
+        result.deletedCount += (await this.deleteMany(operation.deleteMany.filter)).deletedCount
       }
     }
     return result
   }
 
   async deleteOne (filter) {
-    this.data.delete(filter._id)
-    return { acknowledged: true, deletedCount: 1 }
+    const [doc] = this._filter(filter)
+    if (doc) {
+      this.data.delete(doc._id)
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 }
   }
 
   async deleteMany (filter) {
-    let count = 0
-    if (filter._id?.$regex) {
-      const regex = new RegExp(filter._id.$regex)
-      for (const key of this.data.keys()) {
-        if (regex.test(key)) {
-          this.data.delete(key)
-          count++
-        }
+    const docs = this._filter(filter)
+    for (const doc of docs) {
+      this.data.delete(doc._id)
+    }
+    return { acknowledged: true, deletedCount: docs.length }
+  }
+
+  async distinct (field, filter) {
+    const values = new Set()
+    for (const doc of this._filter(filter)) {
+      const value = getPath(doc, field)
+      if (value !== undefined) {
+        values.add(value)
       }
-    } else if (filter._id?.$in) {
-      for (const id of filter._id.$in) {
-        if (this.data.delete(id)) {
-          count++
+    }
+    return Array.from(values)
+  }
+
+  // Supports a $match stage followed by a $group stage of $sum accumulators
+  aggregate (pipeline) {
+    return {
+      toArray: async () => {
+        const docs = this._filter(pipeline.find(stage => stage.$match)?.$match)
+        const group = pipeline.find(stage => stage.$group)?.$group
+        if (!group || docs.length === 0) {
+          return group ? [] : docs
         }
+        const result = { _id: null }
+        for (const [field, accumulator] of Object.entries(group)) {
+          if (field === '_id') continue
+          const { $sum } = accumulator
+          result[field] = docs.reduce((total, doc) => total + (typeof $sum === 'string' ? getPath(doc, $sum.slice(1)) || 0 : $sum), 0)
+        }
+        return [result]
       }
     }
-    return { acknowledged: true, deletedCount: count }
   }
 
-  async countDocuments (filter) {
-    return this.data.has(filter._id) ? 1 : 0
+  async countDocuments (filter, options) {
+    const count = this._filter(filter).length
+    return options?.limit ? Math.min(count, options.limit) : count
   }
 
-  async createIndex () {
-    return 'expireAt_1'
+  async createIndex (key, options = {}) {
+    const name = options.name || Object.entries(key).map(([field, dir]) => `${field}_${dir}`).join('_')
+    if (!this.indexList.some(index => index.name === name)) {
+      const { background, ...rest } = options
+      this.indexList.push({ v: 2, key, ...rest, name })
+    }
+    return name
   }
 
-  _filterProjection (doc, projection) {
-    if (!projection) return doc
-    const filtered = {}
-    for (const key of Object.keys(projection)) {
-      if (projection[key] === 1 && doc[key] !== undefined) {
-        filtered[key] = doc[key]
-      }
-    }
-    return Object.keys(filtered).length > 0 ? filtered : doc
+  async indexes () {
+    return this.indexList.map(index => ({ ...index }))
   }
 }
 
@@ -476,3 +738,3008 @@ test('MongoStorage key hashing', async (t) => {
     strictEqual(keys[0], 'v:short-key')
   })
 })
+
+test('MongoStorage expiry at read time', async (t) => {
+  await t.test('should treat expired entry as a miss and delete it', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('test-key', { foo: 'bar' }, 60)
+    collection.data.get('v:test-key').expireAt = new Date(Date.now() - 1000)
+
+    const value = await storage.get('test-key')
+    strictEqual(value, undefined)
+    strictEqual(collection.data.has('v:test-key'), false)
+  })
+
+  await t.test('should report expired entry as not existing', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('test-key', { foo: 'bar' }, 60)
+    collection.data.get('v:test-key').expireAt = new Date(Date.now() - 1000)
+
+    strictEqual(await storage.exists('test-key'), false)
+    strictEqual(collection.data.has('v:test-key'), false)
+  })
+
+  await t.test('should return 0 TTL for expired entry', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('test-key', { foo: 'bar' }, 60)
+    collection.data.get('v:test-key').expireAt = new Date(Date.now() - 1000)
+
+    strictEqual(await storage.getTTL('test-key'), 0)
+    strictEqual(collection.data.has('v:test-key'), false)
+  })
+
+  await t.test('should not fail the read when lazy deletion fails', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('test-key', { foo: 'bar' }, 60)
+    collection.data.get('v:test-key').expireAt = new Date(Date.now() - 1000)
+    collection.deleteOne = async () => { throw new Error('boom') }
+
+    strictEqual(await storage.get('test-key'), undefined)
+  })
+
+  await t.test('should keep entries without expiry', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('test-key', { foo: 'bar' }, 0)
+    deepStrictEqual(await storage.get('test-key'), { foo: 'bar' })
+    strictEqual(await storage.exists('test-key'), true)
+  })
+})
+
+test('MongoStorage invalidation options', async (t) => {
+  await t.test('should skip reference bookkeeping when invalidation is false', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: false })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+
+    strictEqual(collection.data.has('r:user:1'), false)
+    deepStrictEqual(await storage.get('key1'), { id: 1 })
+  })
+
+  await t.test('should make invalidate a no-op when invalidation is false', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: false })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+    await storage.invalidate('user:1')
+
+    deepStrictEqual(await storage.get('key1'), { id: 1 })
+  })
+
+  await t.test('should use referencesTTL for reference documents', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: { referencesTTL: 3600 } })
+
+    const before = Date.now()
+    await storage.set('key1', { id: 1 }, 10, ['user:1'])
+
+    const ref = collection.data.get('r:user:1')
+    ok(ref.expireAt.getTime() >= before + 3600 * 1000)
+    ok(collection.data.get('v:key1').expireAt.getTime() < before + 11 * 1000)
+  })
+
+  await t.test('should keep reference documents forever with referencesTTL 0', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: { referencesTTL: 0 } })
+
+    await storage.set('key1', { id: 1 }, 10, ['user:1'])
+
+    strictEqual(collection.data.get('r:user:1').expireAt, undefined)
+  })
+
+  await t.test('should not shorten reference expiry when a shorter-lived value is added', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 600, ['user:1'])
+    const expireAt = collection.data.get('r:user:1').expireAt
+
+    await storage.set('key2', { id: 2 }, 10, ['user:1'])
+    strictEqual(collection.data.get('r:user:1').expireAt.getTime(), expireAt.getTime())
+  })
+
+  await t.test('should reject invalid referencesTTL', () => {
+    const collection = new MockCollection()
+    try {
+      new MongoStorage({ collection, invalidation: { referencesTTL: -1 } }) // eslint-disable-line no-new
+      ok(false, 'Should have thrown error')
+    } catch (error) {
+      strictEqual(error.message, 'invalidation.referencesTTL must be a non-negative number')
+    }
+  })
+})
+
+test('MongoStorage initialization and indexes', async (t) => {
+  await t.test('should create the TTL index automatically', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.ready()
+    const ttlIndex = collection.indexList.find(index => index.name === 'expireAt_1')
+    ok(ttlIndex)
+    strictEqual(ttlIndex.expireAfterSeconds, 0)
+  })
+
+  await t.test('should surface index errors through ready()', async () => {
+    const collection = new MockCollection()
+    collection.createIndex = async () => { throw new Error('not authorized') }
+    const storage = new MongoStorage({ collection })
+
+    await rejects(storage.ready(), /not authorized/)
+  })
+
+  await t.test('should surface index errors through create()', async () => {
+    const collection = new MockCollection()
+    collection.createIndex = async () => { throw new Error('not authorized') }
+
+    await rejects(MongoStorage.create({ collection }), /not authorized/)
+  })
+
+  await t.test('should resolve create() with a ready instance', async () => {
+    const collection = new MockCollection()
+    const storage = await MongoStorage.create({ collection })
+
+    ok(storage instanceof MongoStorage)
+    ok(collection.indexList.some(index => index.name === 'expireAt_1'))
+  })
+
+  await t.test('should not create indexes when autoIndex is false', async () => {
+    const collection = new MockCollection()
+    let called = false
+    collection.createIndex = async () => { called = true }
+    const storage = new MongoStorage({ collection, autoIndex: false })
+
+    await storage.ready()
+    strictEqual(called, false)
+  })
+
+  await t.test('should create indexes with ensureIndexes()', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, autoIndex: false })
+
+    deepStrictEqual(await storage.ensureIndexes(), ['expireAt_1'])
+    ok(collection.indexList.some(index => index.name === 'expireAt_1'))
+  })
+
+  await t.test('should report a missing TTL index', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, autoIndex: false })
+
+    const status = await storage.checkIndexes()
+    strictEqual(status.ok, false)
+    strictEqual(status.indexes[0].exists, false)
+    strictEqual(status.indexes[0].valid, false)
+  })
+
+  await t.test('should report a TTL index with wrong options', async () => {
+    const collection = new MockCollection()
+    collection.indexList.push({ v: 2, key: { expireAt: 1 }, name: 'custom_ttl', expireAfterSeconds: 3600 })
+    const storage = new MongoStorage({ collection, autoIndex: false })
+
+    const status = await storage.checkIndexes()
+    strictEqual(status.ok, false)
+    strictEqual(status.indexes[0].name, 'custom_ttl')
+    strictEqual(status.indexes[0].exists, true)
+    strictEqual(status.indexes[0].valid, false)
+    deepStrictEqual(status.indexes[0].problems, ['expireAfterSeconds is 3600, expected 0'])
+  })
+
+  await t.test('should report a valid TTL index', async () => {
+    const collection = new MockCollection()
+    const storage = await MongoStorage.create({ collection })
+
+    const status = await storage.checkIndexes()
+    strictEqual(status.ok, true)
+    strictEqual(status.indexes[0].valid, true)
+  })
+
+  await t.test('should treat a missing collection as having no indexes', async () => {
+    const collection = new MockCollection()
+    collection.indexes = async () => {
+      const error = new Error('ns does not exist')
+      error.code = 26
+      throw error
+    }
+    const storage = new MongoStorage({ collection, autoIndex: false })
+
+    const status = await storage.checkIndexes()
+    strictEqual(status.ok, false)
+    strictEqual(status.indexes[0].exists, false)
+  })
+})
+
+test('MongoStorage namespaces', async (t) => {
+  await t.test('should prefix keys and references with the namespace', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, namespace: 'orders' })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+
+    strictEqual(collection.data.get('n:orders:v:key1').namespace, 'orders')
+    deepStrictEqual(collection.data.get('n:orders:r:user:1').keys, ['key1'])
+    deepStrictEqual(await storage.get('key1'), { id: 1 })
+  })
+
+  await t.test('should isolate keys between namespaces', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const billing = new MongoStorage({ collection, namespace: 'billing' })
+
+    await orders.set('key1', { from: 'orders' }, 60)
+    await billing.set('key1', { from: 'billing' }, 60)
+
+    deepStrictEqual(await orders.get('key1'), { from: 'orders' })
+    deepStrictEqual(await billing.get('key1'), { from: 'billing' })
+  })
+
+  await t.test('should scope invalidation to the namespace', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const billing = new MongoStorage({ collection, namespace: 'billing' })
+    const unscoped = new MongoStorage({ collection })
+
+    await orders.set('key1', { id: 1 }, 60, ['user:1'])
+    await billing.set('key1', { id: 1 }, 60, ['user:1'])
+    await unscoped.set('key1', { id: 1 }, 60, ['user:1'])
+
+    await orders.invalidate('user:*')
+
+    strictEqual(await orders.get('key1'), undefined)
+    deepStrictEqual(await billing.get('key1'), { id: 1 })
+    deepStrictEqual(await unscoped.get('key1'), { id: 1 })
+
+    await unscoped.invalidate('user:1')
+    deepStrictEqual(await billing.get('key1'), { id: 1 })
+  })
+
+  await t.test('should scope clear() to the namespace', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const unscoped = new MongoStorage({ collection })
+
+    await orders.set('key1', { id: 1 }, 60, ['user:1'])
+    await unscoped.set('key1', { id: 1 }, 60, ['user:1'])
+
+    await unscoped.clear()
+    deepStrictEqual(await orders.get('key1'), { id: 1 })
+
+    await unscoped.set('key1', { id: 1 }, 60, ['user:1'])
+    await orders.clear()
+    strictEqual(await orders.get('key1'), undefined)
+    deepStrictEqual(await unscoped.get('key1'), { id: 1 })
+  })
+
+  await t.test('should list and clear namespaces from an admin instance', async () => {
+    const collection = new MockCollection()
+    const admin = new MongoStorage({ collection })
+
+    await new MongoStorage({ collection, namespace: 'orders' }).set('key1', 1, 60, ['user:1'])
+    await new MongoStorage({ collection, namespace: 'billing' }).set('key1', 1, 60)
+    await admin.set('key1', 1, 60)
+
+    deepStrictEqual(await admin.listNamespaces(), ['billing', 'orders'])
+
+    await admin.clearNamespace('orders')
+
+    deepStrictEqual(await admin.listNamespaces(), ['billing'])
+    strictEqual(collection.data.has('n:orders:r:user:1'), false)
+    strictEqual(await admin.get('key1'), 1)
+  })
+
+  await t.test('should reject invalid namespaces', () => {
+    const collection = new MockCollection()
+    for (const namespace of ['', 'a:b', 42]) {
+      try {
+        new MongoStorage({ collection, namespace }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, 'namespace must be a non-empty string without ":"')
+      }
+    }
+  })
+
+  await t.test('should escape regex characters in namespaces', async () => {
+    const collection = new MockCollection()
+    const dotted = new MongoStorage({ collection, namespace: 'a.b' })
+    const other = new MongoStorage({ collection, namespace: 'axb' })
+
+    await dotted.set('key1', 1, 60, ['user:1'])
+    await other.set('key1', 1, 60, ['user:1'])
+
+    await dotted.invalidate('user:*')
+    await dotted.clear()
+
+    strictEqual(await other.get('key1'), 1)
+  })
+})
+
+test('MongoStorage batch operations', async (t) => {
+  await t.test('should get many values in input order with a single query', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60)
+    await storage.set('key3', { id: 3 }, 60)
+
+    let queries = 0
+    const find = collection.find.bind(collection)
+    collection.find = (...args) => {
+      queries++
+      return find(...args)
+    }
+
+    const values = await storage.getMany(['key3', 'key2', 'key1', 'key3'])
+    deepStrictEqual(values, [{ id: 3 }, undefined, { id: 1 }, { id: 3 }])
+    strictEqual(queries, 1)
+  })
+
+  await t.test('should treat expired entries as misses in getMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60)
+    await storage.set('key2', { id: 2 }, 60)
+    collection.data.get('v:key1').expireAt = new Date(Date.now() - 1000)
+
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [undefined, { id: 2 }])
+    strictEqual(collection.data.has('v:key1'), false)
+  })
+
+  await t.test('should return an empty array for no keys', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    deepStrictEqual(await storage.getMany([]), [])
+  })
+
+  await t.test('should set many values with one bulkWrite for values', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    const batches = []
+    const bulkWrite = collection.bulkWrite.bind(collection)
+    collection.bulkWrite = (operations, options) => {
+      batches.push({ operations, options })
+      return bulkWrite(operations, options)
+    }
+
+    await storage.setMany([
+      { key: 'key1', value: { id: 1 }, ttl: 60, references: ['user:1', 'tenant:1'] },
+      { key: 'key2', value: { id: 2 }, ttl: 120, references: ['user:2', 'tenant:1'] },
+      { key: 'key3', value: { id: 3 }, ttl: 0 }
+    ])
+
+    strictEqual(batches.length, 2)
+    strictEqual(batches[0].operations.length, 3)
+    strictEqual(batches[0].options.ordered, false)
+    strictEqual(batches[1].operations.length, 3)
+
+    deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), [{ id: 1 }, { id: 2 }, { id: 3 }])
+    strictEqual(collection.data.get('v:key3').expireAt, undefined)
+    deepStrictEqual(collection.data.get('r:tenant:1').keys, ['key1', 'key2'])
+
+    const tenantTTL = collection.data.get('r:tenant:1').expireAt.getTime() - Date.now()
+    ok(tenantTTL > 60 * 1000 && tenantTTL <= 120 * 1000)
+  })
+
+  await t.test('should keep the last entry for duplicate keys', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.setMany([
+      { key: 'key1', value: 'first', ttl: 60 },
+      { key: 'key1', value: 'second', ttl: 60 }
+    ])
+
+    strictEqual(await storage.get('key1'), 'second')
+  })
+
+  await t.test('should invalidate entries stored with setMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.setMany([
+      { key: 'key1', value: 1, ttl: 60, references: ['user:1'] },
+      { key: 'key2', value: 2, ttl: 60, references: ['user:1'] }
+    ])
+    await storage.invalidate('user:1')
+
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [undefined, undefined])
+  })
+
+  await t.test('should remove many keys at once', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.setMany([
+      { key: 'key1', value: 1, ttl: 60 },
+      { key: 'key2', value: 2, ttl: 60 },
+      { key: 'key3', value: 3, ttl: 60 }
+    ])
+    await storage.removeMany(['key1', 'key3'])
+
+    deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), [undefined, 2, undefined])
+  })
+})
+
+test('MongoStorage reference consistency', async (t) => {
+  await t.test('should record references on the value document', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1', 'tenant:1', 'user:1'])
+
+    deepStrictEqual(collection.data.get('v:key1').references, ['user:1', 'tenant:1'])
+  })
+
+  await t.test('should not record references when invalidation is disabled', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: false })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+
+    strictEqual(collection.data.get('v:key1').references, undefined)
+  })
+
+  await t.test('should pull the key from references on remove', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1', 'tenant:1'])
+    await storage.set('key2', { id: 2 }, 60, ['tenant:1'])
+    await storage.remove('key1')
+
+    strictEqual(collection.data.has('r:user:1'), false)
+    deepStrictEqual(collection.data.get('r:tenant:1').keys, ['key2'])
+  })
+
+  await t.test('should pull keys from references on removeMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['tenant:1'])
+    await storage.set('key2', { id: 2 }, 60, ['tenant:1'])
+    await storage.set('key3', { id: 3 }, 60, ['tenant:1'])
+    await storage.removeMany(['key1', 'key3'])
+
+    deepStrictEqual(collection.data.get('r:tenant:1').keys, ['key2'])
+  })
+
+  await t.test('should unlink dropped references when a key is overwritten', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1', 'tenant:1'])
+    await storage.set('key1', { id: 1 }, 60, ['user:2', 'tenant:1'])
+
+    strictEqual(collection.data.has('r:user:1'), false)
+    deepStrictEqual(collection.data.get('r:user:2').keys, ['key1'])
+    deepStrictEqual(collection.data.get('r:tenant:1').keys, ['key1'])
+  })
+
+  await t.test('should unlink dropped references when overwriting with setMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+    await storage.set('key2', { id: 2 }, 60, ['user:1'])
+    await storage.setMany([
+      { key: 'key1', value: { id: 1 }, ttl: 60 },
+      { key: 'key2', value: { id: 2 }, ttl: 60, references: ['user:2'] }
+    ])
+
+    strictEqual(collection.data.has('r:user:1'), false)
+    deepStrictEqual(collection.data.get('r:user:2').keys, ['key2'])
+  })
+
+  await t.test('should prune keys of expired and missing values', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { id: 1 }, 60, ['tenant:1', 'user:1'])
+    await storage.set('key2', { id: 2 }, 60, ['tenant:1'])
+    await storage.set('key3', { id: 3 }, 60, ['tenant:1'])
+
+    // Simulate the TTL monitor removing key1 and key2 having expired
+    collection.data.delete('v:key1')
+    collection.data.get('v:key2').expireAt = new Date(Date.now() - 1000)
+
+    const result = await storage.pruneReferences()
+
+    deepStrictEqual(result, { scanned: 2, keysPruned: 3, referencesDeleted: 1, chunksDeleted: 0 })
+    deepStrictEqual(collection.data.get('r:tenant:1').keys, ['key3'])
+    strictEqual(collection.data.has('r:user:1'), false)
+  })
+
+  await t.test('should only prune references of its own namespace', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const unscoped = new MongoStorage({ collection })
+
+    await orders.set('key1', 1, 60, ['user:1'])
+    await unscoped.set('key1', 1, 60, ['user:1'])
+    collection.data.delete('n:orders:v:key1')
+    collection.data.delete('v:key1')
+
+    const result = await orders.pruneReferences()
+
+    strictEqual(result.scanned, 1)
+    strictEqual(collection.data.has('n:orders:r:user:1'), false)
+    ok(collection.data.has('r:user:1'))
+  })
+
+  await t.test('should prune periodically with pruneInterval', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, pruneInterval: 0.01 })
+
+    await storage.set('key1', 1, 60, ['user:1'])
+    collection.data.delete('v:key1')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await storage.close()
+
+    strictEqual(collection.data.has('r:user:1'), false)
+  })
+
+  await t.test('should reject an invalid pruneInterval', () => {
+    for (const pruneInterval of [-1, '10']) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), pruneInterval }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, 'pruneInterval must be a non-negative number')
+      }
+    }
+  })
+})
+
+test('MongoStorage pair reference layout', async (t) => {
+  await t.test('should store one document per reference/key pair', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, referenceLayout: 'pair' })
+
+    await storage.set('key1', { id: 1 }, 60, ['user:1', 'tenant:1'])
+    await storage.set('key2', { id: 2 }, 0, ['tenant:1'])
+
+    const pairs = Array.from(collection.data.values()).filter(doc => doc._id.startsWith('p:'))
+    strictEqual(pairs.length, 3)
+    strictEqual(collection.data.has('r:tenant:1'), false)
+
+    const pair = collection.data.get('p:["tenant:1","key1"]')
+    strictEqual(pair.ref, 'r:tenant:1')
+    strictEqual(pair.key, 'key1')
+    ok(pair.expireAt instanceof Date)
+    strictEqual(collection.data.get('p:["tenant:1","key2"]').expireAt, undefined)
+  })
+
+  await t.test('should create an index on ref', async () => {
+    const collection = new MockCollection()
+    const storage = await MongoStorage.create({ collection, referenceLayout: 'pair' })
+
+    const refIndex = collection.indexList.find(index => index.name === 'ref_1')
+    ok(refIndex)
+    strictEqual(refIndex.sparse, true)
+    strictEqual((await storage.checkIndexes()).ok, true)
+  })
+
+  await t.test('should reject unknown layouts', () => {
+    const collection = new MockCollection()
+    try {
+      new MongoStorage({ collection, referenceLayout: 'nested' }) // eslint-disable-line no-new
+      ok(false, 'Should have thrown error')
+    } catch (error) {
+      strictEqual(error.message, 'referenceLayout must be one of: embedded, pair')
+    }
+  })
+
+  await t.test('should apply referencesTTL to pair documents', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, referenceLayout: 'pair', invalidation: { referencesTTL: 3600 } })
+
+    const before = Date.now()
+    await storage.set('key1', 1, 10, ['user:1'])
+
+    ok(collection.data.get('p:["user:1","key1"]').expireAt.getTime() >= before + 3600 * 1000)
+  })
+
+  for (const referenceLayout of ['embedded', 'pair']) {
+    await t.test(`should invalidate by exact reference (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1'])
+      await storage.set('key2', 2, 60, ['user:1'])
+      await storage.set('key3', 3, 60, ['user:2'])
+      await storage.invalidate('user:1')
+
+      deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), [undefined, undefined, 3])
+    })
+
+    await t.test(`should invalidate by wildcard pattern (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout, namespace: 'svc' })
+      const other = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1'])
+      await storage.set('key2', 2, 60, ['user:2'])
+      await storage.set('key3', 3, 60, ['tenant:1'])
+      await other.set('key1', 1, 60, ['user:1'])
+      await storage.invalidate('user:*')
+
+      deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), [undefined, undefined, 3])
+      strictEqual(await other.get('key1'), 1)
+    })
+
+    await t.test(`should unlink removed and overwritten keys (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1'])
+      await storage.set('key2', 2, 60, ['user:1'])
+      await storage.remove('key1')
+      await storage.set('key2', 2, 60, ['user:2'])
+      await storage.set('key3', 3, 60, ['user:1'])
+      await storage.invalidate('user:1')
+
+      deepStrictEqual(await storage.getMany(['key2', 'key3']), [2, undefined])
+    })
+
+    await t.test(`should prune keys of missing values (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1', 'tenant:1'])
+      await storage.set('key2', 2, 60, ['tenant:1'])
+      collection.data.delete('v:key1')
+
+      const result = await storage.pruneReferences()
+      strictEqual(result.keysPruned, 2)
+
+      await storage.set('key1', 1, 60)
+      await storage.invalidate(['user:1', 'tenant:1'])
+      deepStrictEqual(await storage.getMany(['key1', 'key2']), [1, undefined])
+    })
+
+    await t.test(`should prune keys of values that no longer list the reference (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1', 'tenant:1'])
+      await storage.set('key2', 2, 60, ['tenant:1'])
+      collection.data.get('v:key1').references = ['tenant:1']
+
+      const result = await storage.pruneReferences()
+      strictEqual(result.keysPruned, 1)
+
+      await storage.invalidate('user:1')
+      deepStrictEqual(await storage.getMany(['key1', 'key2']), [1, 2])
+    })
+
+    await t.test(`should keep keys of values stored without their references (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1'])
+      delete collection.data.get('v:key1').references
+
+      const result = await storage.pruneReferences()
+      strictEqual(result.keysPruned, 0)
+    })
+
+    await t.test(`should keep references of values set while pruning (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 0, ['user:1'])
+      collection.data.delete('v:key1')
+
+      // key1 is set again right after it was found dead
+      const findLiveKeys = storage._findLiveKeys.bind(storage)
+      storage._findLiveKeys = async (keys) => {
+        const liveKeys = await findLiveKeys(keys)
+        storage._findLiveKeys = findLiveKeys
+        await storage.set('key1', 1, 0, ['user:1'])
+        return liveKeys
+      }
+
+      const result = await storage.pruneReferences()
+      strictEqual(result.keysPruned, 0)
+
+      await storage.invalidate('user:1')
+      strictEqual(await storage.get('key1'), undefined)
+    })
+
+    await t.test(`should clear pair and reference documents (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1'])
+      await storage.clear()
+
+      strictEqual(collection.data.size, 0)
+    })
+  }
+})
+
+test('MongoStorage invalidation results', async (t) => {
+  for (const referenceLayout of ['embedded', 'pair']) {
+    await t.test(`should return deleted counts from invalidate (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['user:1', 'tenant:1'])
+      await storage.set('key2', 2, 60, ['user:2', 'tenant:1'])
+      await storage.set('key3', 3, 60, ['user:3'])
+
+      deepStrictEqual(await storage.invalidate('tenant:1'), {
+        values: 2,
+        references: referenceLayout === 'pair' ? 2 : 1
+      })
+      deepStrictEqual(await storage.invalidate(['user:*', 'missing']), {
+        values: 1,
+        references: 3
+      })
+    })
+
+    await t.test(`should preview affected keys with dryRun (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout })
+
+      await storage.set('key1', 1, 60, ['tenant:1'])
+      await storage.set('key2', 2, 60, ['tenant:2'])
+      await storage.set('key3', 3, 60, ['tenant:2'])
+      await storage.set('key4', 4, 60, ['user:1'])
+      collection.data.get('v:key3').expireAt = new Date(Date.now() - 1000)
+
+      const size = collection.data.size
+      const result = await storage.invalidate(['tenant:*', 'user:1'], { dryRun: true })
+
+      deepStrictEqual(result.keys.sort(), ['key1', 'key2', 'key3', 'key4'])
+      strictEqual(result.values, 3)
+      strictEqual(result.references, referenceLayout === 'pair' ? 4 : 3)
+      strictEqual(collection.data.size, size)
+    })
+  }
+
+  await t.test('should return zero counts when invalidation is disabled', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidation: false })
+
+    deepStrictEqual(await storage.invalidate('user:1'), { values: 0, references: 0 })
+    deepStrictEqual(await storage.invalidate('user:1', { dryRun: true }), { values: 0, references: 0, keys: [] })
+  })
+
+  await t.test('should return deleted counts from remove and removeMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 1, 60, ['user:1', 'tenant:1'])
+    await storage.set('key2', 2, 60, ['tenant:1'])
+    await storage.set('key3', 3, 60, ['tenant:1'])
+
+    deepStrictEqual(await storage.remove('key1'), { values: 1, references: 1 })
+    deepStrictEqual(await storage.remove('key1'), { values: 0, references: 0 })
+    deepStrictEqual(await storage.removeMany(['key2', 'key3', 'key4']), { values: 2, references: 1 })
+  })
+
+  await t.test('should return deleted counts from clear and clearNamespace', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+
+    await storage.set('key1', 1, 60, ['user:1', 'tenant:1'])
+    await storage.set('key2', 2, 60)
+    await orders.set('key1', 1, 60, ['user:1'])
+
+    deepStrictEqual(await storage.clear(), { values: 2, references: 2 })
+    deepStrictEqual(await storage.clearNamespace('orders'), { values: 1, references: 1 })
+  })
+
+  await t.test('should not count chunks, events and leases as references in clearNamespace', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders', chunkSize: 16, publishEvents: true })
+
+    await orders.set('key1', 'x'.repeat(100), 60, ['user:1'])
+    await orders.remove('key2')
+    await orders.acquireLease('key3', 10)
+
+    deepStrictEqual(await orders.clearNamespace('orders'), { values: 1, references: 1 })
+    deepStrictEqual(Array.from(collection.data.keys()).filter(id => !id.startsWith('n:orders:e:')), [])
+  })
+})
+
+test('MongoStorage batched invalidation', async (t) => {
+  for (const referenceLayout of ['embedded', 'pair']) {
+    await t.test(`should delete in bounded batches (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout, invalidationBatchSize: 3 })
+
+      const entries = []
+      for (let i = 0; i < 10; i++) {
+        entries.push({ key: `key${i}`, value: i, ttl: 60, references: [`user:${i}`, 'tenant:1'] })
+      }
+      await storage.setMany(entries)
+
+      const deletes = []
+      const deleteMany = collection.deleteMany.bind(collection)
+      collection.deleteMany = (filter) => {
+        deletes.push(filter)
+        return deleteMany(filter)
+      }
+
+      const result = await storage.invalidate(['user:*', 'tenant:1'])
+
+      strictEqual(result.values, 10)
+      strictEqual(result.references, referenceLayout === 'pair' ? 20 : 11)
+      ok(deletes.every(filter => filter._id.$in.length <= 3))
+      deepStrictEqual(await storage.getMany(['key0', 'key9']), [undefined, undefined])
+      strictEqual(collection.data.size, 0)
+    })
+  }
+
+  await t.test('should emit progress events', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidationBatchSize: 2 })
+
+    for (let i = 0; i < 5; i++) {
+      await storage.set(`key${i}`, i, 60, [`user:${i}`])
+    }
+
+    const events = []
+    storage.on('invalidateProgress', (event) => events.push(event))
+    await storage.invalidate('user:*')
+
+    ok(events.length > 1)
+    strictEqual(events[0].reference, 'user:*')
+    deepStrictEqual(events.map(event => event.batches), events.map((event, i) => i + 1))
+    const last = events[events.length - 1]
+    strictEqual(last.values, 5)
+    strictEqual(last.references, 5)
+  })
+
+  await t.test('should reject an invalid invalidationBatchSize', () => {
+    for (const invalidationBatchSize of [-1, 0, 1.5]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), invalidationBatchSize }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, 'invalidationBatchSize must be a positive integer')
+      }
+    }
+  })
+
+  await t.test('should pause between batches when throttled', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidationBatchSize: 1, invalidationThrottle: 10 })
+
+    await storage.set('key1', 1, 60, ['user:1'])
+    await storage.set('key2', 2, 60, ['user:2'])
+
+    const start = Date.now()
+    await storage.invalidate('user:*')
+    ok(Date.now() - start >= 30)
+  })
+
+  await t.test('should accept per-call batch size and throttle', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, invalidationThrottle: 1000 })
+
+    for (let i = 0; i < 4; i++) {
+      await storage.set(`key${i}`, i, 60, [`user:${i}`])
+    }
+
+    const events = []
+    storage.on('invalidateProgress', (event) => events.push(event))
+    const start = Date.now()
+    await storage.invalidate('user:*', { batchSize: 2, throttle: 0 })
+
+    ok(Date.now() - start < 1000)
+    strictEqual(events.length, 4)
+  })
+
+  await t.test('should not emit progress events on dry run', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 1, 60, ['user:1'])
+
+    let emitted = false
+    storage.on('invalidateProgress', () => { emitted = true })
+    await storage.invalidate('user:*', { dryRun: true })
+
+    strictEqual(emitted, false)
+  })
+})
+
+test('MongoStorage watch', async (t) => {
+  await t.test('should emit set events for value writes', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const watcher = storage.watch()
+
+    const event = once(watcher, 'set')
+    await storage.set('key1', { id: 1 }, 60, ['user:1'])
+    const [{ keys, references, token }] = await event
+
+    deepStrictEqual(keys, ['key1'])
+    deepStrictEqual(references, ['user:1'])
+    deepStrictEqual(watcher.resumeToken, token)
+    await storage.close()
+  })
+
+  await t.test('should report the original key for hashed keys', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const watcher = storage.watch()
+
+    const longKey = 'a'.repeat(250)
+    const event = once(watcher, 'set')
+    await storage.set(longKey, 1, 60)
+    const [{ keys }] = await event
+
+    deepStrictEqual(keys, [longKey])
+    await storage.close()
+  })
+
+  await t.test('should emit remove, invalidate and clear events from other instances', async () => {
+    const collection = new MockCollection()
+    const writer = new MongoStorage({ collection, publishEvents: true })
+    const reader = new MongoStorage({ collection })
+    const watcher = reader.watch()
+
+    await writer.set('key1', 1, 60, ['user:1'])
+    await writer.set('key2', 2, 60, ['user:2'])
+
+    let event = once(watcher, 'remove')
+    await writer.remove('key1')
+    deepStrictEqual((await event)[0].keys, ['key1'])
+
+    event = once(watcher, 'invalidate')
+    await writer.invalidate(['user:*'])
+    const [invalidated] = await event
+    deepStrictEqual(invalidated.keys, ['key2'])
+    deepStrictEqual(invalidated.references, ['user:*'])
+    strictEqual(invalidated.truncated, false)
+
+    event = once(watcher, 'clear')
+    await writer.clear()
+    await event
+
+    await reader.close()
+  })
+
+  await t.test('should not publish events unless publishEvents is enabled', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 1, 60, ['user:1'])
+    await storage.remove('key1')
+    await storage.invalidate('user:1')
+    await storage.clear()
+
+    strictEqual(Array.from(collection.data.keys()).filter(id => id.startsWith('e:')).length, 0)
+  })
+
+  await t.test('should only see events of its namespace', async () => {
+    const collection = new MockCollection()
+    const orders = new MongoStorage({ collection, namespace: 'orders', publishEvents: true })
+    const billing = new MongoStorage({ collection, namespace: 'billing', publishEvents: true })
+    const watcher = orders.watch()
+
+    const events = []
+    watcher.on('set', event => events.push(['set', event.keys]))
+    watcher.on('remove', event => events.push(['remove', event.keys]))
+
+    await billing.set('key1', 1, 60)
+    await billing.remove('key1')
+    await orders.set('key2', 2, 60)
+    await once(watcher, 'set')
+
+    deepStrictEqual(events, [['set', ['key2']]])
+    await orders.close()
+  })
+
+  await t.test('should emit clear events for clearNamespace in that namespace', async () => {
+    const collection = new MockCollection()
+    const admin = new MongoStorage({ collection, publishEvents: true })
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const watcher = orders.watch()
+
+    const event = once(watcher, 'clear')
+    await admin.clearNamespace('orders')
+    await event
+
+    await orders.close()
+  })
+
+  await t.test('should mark truncated key lists', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, publishEvents: true })
+    const watcher = storage.watch()
+
+    const entries = []
+    for (let i = 0; i < 1001; i++) {
+      entries.push({ key: `key${i}`, value: i, ttl: 60, references: ['tenant:1'] })
+    }
+    await storage.setMany(entries)
+
+    const event = once(watcher, 'invalidate')
+    await storage.invalidate('tenant:1')
+    const [{ keys, truncated }] = await event
+
+    strictEqual(keys.length, 1000)
+    strictEqual(truncated, true)
+    await storage.close()
+  })
+
+  await t.test('should resume after the last token when the stream fails', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const watcher = storage.watch({ retryDelay: 1 })
+
+    let event = once(watcher, 'set')
+    await storage.set('key1', 1, 60)
+    const [{ token }] = await event
+
+    const [stream] = collection.streams
+    const error = once(watcher, 'error')
+    stream.emit('error', new Error('connection reset'))
+    strictEqual((await error)[0].message, 'connection reset')
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    const [resumed] = collection.streams
+    ok(resumed !== stream)
+    deepStrictEqual(resumed.options.startAfter, token)
+
+    event = once(watcher, 'set')
+    await storage.set('key2', 2, 60)
+    deepStrictEqual((await event)[0].keys, ['key2'])
+
+    await storage.close()
+    strictEqual(collection.streams.size, 0)
+  })
+
+  await t.test('should resume after the post-batch token of a quiet stream', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const watcher = storage.watch({ retryDelay: 1 })
+    watcher.on('error', () => {})
+
+    // No change yet, but the server has reported how far the stream has read
+    const [stream] = collection.streams
+    stream.emit('resumeTokenChanged', { _data: '7' })
+    strictEqual(watcher.resumeToken._data, '7')
+
+    stream.resumeToken = { _data: '8' }
+    stream.emit('error', new Error('connection reset'))
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    const [resumed] = collection.streams
+    deepStrictEqual(resumed.options.startAfter, { _data: '8' })
+    await storage.close()
+  })
+
+  await t.test('should start after a given resume token', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    storage.watch({ resumeAfter: { _data: '42' } })
+
+    const [stream] = collection.streams
+    deepStrictEqual(stream.options.startAfter, { _data: '42' })
+    await storage.close()
+  })
+})
+
+test('MongoStorage L1 cache', async (t) => {
+  await t.test('should not let a concurrent read restore a removed value', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    // Reads run while the delete is in flight
+    const slow = (method) => {
+      const original = collection[method].bind(collection)
+      collection[method] = async (...args) => {
+        await storage.get('key1')
+        await storage.get('key2')
+        return original(...args)
+      }
+    }
+
+    await storage.set('key1', 'old', 60)
+    slow('findOneAndDelete')
+    await storage.remove('key1')
+    strictEqual(await storage.get('key1'), undefined)
+
+    await storage.setMany([{ key: 'key1', value: 'old', ttl: 60 }, { key: 'key2', value: 'old', ttl: 60 }])
+    slow('deleteMany')
+    await storage.removeMany(['key1', 'key2'])
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [undefined, undefined])
+  })
+
+  await t.test('should not let a concurrent read restore the expiry before refresh()', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false, ttl: 60 } })
+
+    await storage.set('key1', 'value', 60)
+    const findOneAndUpdate = collection.findOneAndUpdate.bind(collection)
+    collection.findOneAndUpdate = async (...args) => {
+      await storage.get('key1')
+      return findOneAndUpdate(...args)
+    }
+    await storage.refresh('key1', 1)
+
+    strictEqual(storage.l1.has('key1'), false)
+  })
+
+  await t.test('should serve repeated reads from L1', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    await storage.set('key1', { id: 1 }, 60)
+
+    let reads = 0
+    const findOne = collection.findOne.bind(collection)
+    collection.findOne = (...args) => {
+      reads++
+      return findOne(...args)
+    }
+
+    deepStrictEqual(await storage.get('key1'), { id: 1 })
+    strictEqual(await storage.exists('key1'), true)
+    deepStrictEqual(await storage.getMany(['key1']), [{ id: 1 }])
+    strictEqual(reads, 0)
+  })
+
+  await t.test('should populate L1 on read', async () => {
+    const collection = new MockCollection()
+    const writer = new MongoStorage({ collection })
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    await writer.set('key1', 1, 60)
+    await writer.set('key2', 2, 60)
+    await storage.get('key1')
+    await storage.getMany(['key2', 'key3'])
+
+    collection.data.clear()
+    strictEqual(await storage.get('key1'), 1)
+    deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), [1, 2, undefined])
+  })
+
+  await t.test('should evict locally on remove, invalidate, refresh and clear', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    await storage.setMany([
+      { key: 'key1', value: 1, ttl: 60 },
+      { key: 'key2', value: 2, ttl: 60, references: ['user:2'] },
+      { key: 'key3', value: 3, ttl: 60 },
+      { key: 'key4', value: 4, ttl: 60 }
+    ])
+
+    await storage.remove('key1')
+    await storage.invalidate('user:*')
+    await storage.refresh('key3', 120)
+    strictEqual(storage.l1.has('key1'), false)
+    strictEqual(storage.l1.has('key2'), false)
+    strictEqual(storage.l1.has('key3'), false)
+    strictEqual(storage.l1.has('key4'), true)
+
+    await storage.clear()
+    strictEqual(storage.l1.size, 0)
+  })
+
+  await t.test('should not outlive the value TTL', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { ttl: 60, sync: false } })
+
+    await storage.set('key1', 1, 0.01)
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    strictEqual(await storage.get('key1'), undefined)
+  })
+
+  await t.test('should publish events so peers can evict', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    strictEqual(storage.publishEvents, true)
+  })
+
+  await t.test('should evict entries invalidated by a peer', async () => {
+    const collection = new MockCollection()
+    const peer = new MongoStorage({ collection, l1: { sync: false } })
+    const storage = new MongoStorage({ collection, l1: true })
+
+    await peer.set('key1', 1, 60, ['user:1'])
+    await peer.set('key2', 2, 60)
+    await new Promise(resolve => setImmediate(resolve))
+    strictEqual(await storage.get('key1'), 1)
+    strictEqual(await storage.get('key2'), 2)
+
+    const [watcher] = storage._watchers
+    let event = once(watcher, 'invalidate')
+    await peer.invalidate('user:1')
+    await event
+    strictEqual(storage.l1.has('key1'), false)
+    strictEqual(await storage.get('key1'), undefined)
+
+    event = once(watcher, 'set')
+    await peer.set('key2', 'updated', 60)
+    await event
+    strictEqual(await storage.get('key2'), 'updated')
+
+    event = once(watcher, 'clear')
+    await peer.clear()
+    await event
+    strictEqual(storage.l1.size, 0)
+
+    await storage.close()
+  })
+
+  await t.test('should clear L1 when the watcher fails', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: true })
+
+    await storage.set('key1', 1, 60)
+    await new Promise(resolve => setImmediate(resolve))
+    await storage.get('key1')
+    ok(storage.l1.size > 0)
+
+    const [stream] = collection.streams
+    stream.emit('error', new Error('connection reset'))
+    strictEqual(storage.l1.size, 0)
+
+    await storage.close()
+  })
+})
+
+test('MongoStorage serializer', async (t) => {
+  await t.test('should store bson values as-is without a codec field', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', { a: 1 }, 60)
+
+    const doc = collection.data.get('v:key1')
+    deepStrictEqual(doc.value, { a: 1 })
+    strictEqual(doc.codec, undefined)
+  })
+
+  await t.test('should round-trip Map, Set and BigInt with v8', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, serializer: 'v8' })
+    const value = { map: new Map([['a', 1]]), set: new Set(['x']), big: 2n ** 64n }
+
+    await storage.set('key1', value, 60)
+    await storage.setMany([{ key: 'key2', value: new Set([1]), ttl: 60 }])
+
+    strictEqual(collection.data.get('v:key1').codec, 'v8')
+    deepStrictEqual(await storage.get('key1'), value)
+    deepStrictEqual(await storage.getMany(['key1', 'key2', 'missing']), [value, new Set([1]), undefined])
+  })
+
+  await t.test('should read undefined values back with json', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, serializer: 'json' })
+
+    await storage.set('key1', undefined, 60)
+    await storage.setMany([{ key: 'key2', value: undefined, ttl: 60 }])
+
+    strictEqual(await storage.get('key1'), undefined)
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [undefined, undefined])
+  })
+
+  await t.test('should store $-prefixed keys with json', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, serializer: 'json' })
+
+    await storage.set('key1', { $where: 1, 'a.b': 2 }, 60)
+
+    const doc = collection.data.get('v:key1')
+    strictEqual(doc.codec, 'json')
+    strictEqual(typeof doc.value, 'string')
+    deepStrictEqual(await storage.get('key1'), { $where: 1, 'a.b': 2 })
+  })
+
+  await t.test('should use a custom codec', async () => {
+    const collection = new MockCollection()
+    const serializer = {
+      name: 'upper',
+      serialize: (value) => value.toUpperCase(),
+      deserialize: (data) => data.toLowerCase()
+    }
+    const storage = new MongoStorage({ collection, serializer })
+
+    await storage.set('key1', 'hello', 60)
+
+    strictEqual(collection.data.get('v:key1').value, 'HELLO')
+    strictEqual(collection.data.get('v:key1').codec, 'upper')
+    strictEqual(await storage.get('key1'), 'hello')
+  })
+
+  await t.test('should decode documents written with another codec', async () => {
+    const collection = new MockCollection()
+    const legacy = new MongoStorage({ collection })
+    const json = new MongoStorage({ collection, serializer: 'json' })
+
+    await legacy.set('key1', { a: 1 }, 60)
+    await json.set('key2', { b: 2 }, 60)
+
+    deepStrictEqual(await json.get('key1'), { a: 1 })
+    deepStrictEqual(await legacy.get('key2'), { b: 2 })
+  })
+
+  await t.test('should throw on documents with an unknown codec', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const custom = new MongoStorage({
+      collection,
+      serializer: { name: 'custom', serialize: (value) => value, deserialize: (data) => data }
+    })
+
+    await custom.set('key1', 'value', 60)
+
+    await rejects(storage.get('key1'), { message: 'Unknown codec "custom" for key "key1"' })
+  })
+
+  await t.test('should reject invalid serializers', () => {
+    try {
+      new MongoStorage({ collection: new MockCollection(), serializer: 'msgpack' }) // eslint-disable-line no-new
+      ok(false, 'Should have thrown error')
+    } catch (error) {
+      strictEqual(error.message, 'serializer must be one of: bson, json, v8, or a custom codec')
+    }
+  })
+})
+
+test('MongoStorage compression', async (t) => {
+  const large = { text: 'cached aggregation '.repeat(200), count: 42 }
+
+  await t.test('should compress values above the threshold', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, compression: 'gzip' })
+
+    await storage.set('large', large, 60)
+    await storage.set('small', { count: 1 }, 60)
+
+    const doc = collection.data.get('v:large')
+    deepStrictEqual(doc.compression, { algorithm: 'gzip', format: 'bson' })
+    ok(Buffer.isBuffer(doc.value))
+    strictEqual(collection.data.get('v:small').compression, undefined)
+
+    deepStrictEqual(await storage.get('large'), large)
+    deepStrictEqual(await storage.get('small'), { count: 1 })
+  })
+
+  await t.test('should compress entries written with setMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, compression: { algorithm: 'brotli', threshold: 0 } })
+
+    await storage.setMany([
+      { key: 'key1', value: large, ttl: 60 },
+      { key: 'key2', value: 'text', ttl: 60 }
+    ])
+
+    strictEqual(collection.data.get('v:key1').compression.algorithm, 'brotli')
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [large, 'text'])
+  })
+
+  await t.test('should compress the output of the serializer', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, serializer: 'v8', compression: { algorithm: 'deflate', threshold: 0 } })
+    const value = new Map([['a', large]])
+
+    await storage.set('key1', value, 60)
+
+    const doc = collection.data.get('v:key1')
+    strictEqual(doc.codec, 'v8')
+    deepStrictEqual(doc.compression, { algorithm: 'deflate', format: 'binary' })
+    deepStrictEqual(await storage.get('key1'), value)
+  })
+
+  await t.test('should read entries written before compression was enabled', async () => {
+    const collection = new MockCollection()
+    const plain = new MongoStorage({ collection })
+    const compressed = new MongoStorage({ collection, compression: 'gzip' })
+
+    await plain.set('old', large, 60)
+    await compressed.set('new', large, 60)
+
+    deepStrictEqual(await compressed.get('old'), large)
+    deepStrictEqual(await plain.get('new'), large)
+  })
+
+  await t.test('should reject invalid compression options', () => {
+    try {
+      new MongoStorage({ collection: new MockCollection(), compression: 'lz4' }) // eslint-disable-line no-new
+      ok(false, 'Should have thrown error')
+    } catch (error) {
+      strictEqual(error.message, 'compression.algorithm must be one of: gzip, deflate, brotli')
+    }
+  })
+})
+
+test('MongoStorage chunked values', async (t) => {
+  const large = { text: 'x'.repeat(200), list: [1, 2, 3] }
+  const chunkIds = (collection) => Array.from(collection.data.keys()).filter(id => id.startsWith('c:'))
+
+  await t.test('should split values larger than chunkSize and reassemble them', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('large', large, 60)
+    await storage.set('small', { a: 1 }, 60)
+
+    const doc = collection.data.get('v:large')
+    strictEqual(doc.value, undefined)
+    strictEqual(doc.chunks.format, 'bson')
+    strictEqual(doc.chunks.count, chunkIds(collection).length)
+    ok(doc.chunks.count > 1)
+    strictEqual(collection.data.get('v:small').chunks, undefined)
+
+    const [first] = chunkIds(collection).map(id => collection.data.get(id))
+    strictEqual(first.parent, 'v:large')
+    deepStrictEqual(first.expireAt, doc.expireAt)
+
+    deepStrictEqual(await storage.get('large'), large)
+    deepStrictEqual(await storage.getMany(['small', 'large', 'missing']), [{ a: 1 }, large, undefined])
+  })
+
+  await t.test('should split BSON values over 17MB with the default chunkSize', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    const huge = { parts: Array.from({ length: 20 }, (_, i) => String(i % 10).repeat(1024 * 1024)) }
+
+    await storage.set('huge', huge, 60)
+
+    const doc = collection.data.get('v:huge')
+    strictEqual(doc.chunks.format, 'bson')
+    strictEqual(doc.chunks.count, 3)
+    deepStrictEqual(await storage.get('huge'), huge)
+  })
+
+  await t.test('should chunk values written with setMany', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.setMany([
+      { key: 'key1', value: large, ttl: 60 },
+      { key: 'key2', value: 'y'.repeat(100), ttl: 60 }
+    ])
+
+    strictEqual(collection.data.get('v:key2').chunks.format, 'string')
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [large, 'y'.repeat(100)])
+  })
+
+  await t.test('should chunk serialized and compressed payloads', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({
+      collection,
+      chunkSize: 16,
+      serializer: 'v8',
+      compression: { algorithm: 'gzip', threshold: 0 }
+    })
+    const value = new Map([['text', 'abc'.repeat(100)]])
+
+    await storage.set('key1', value, 60)
+
+    const doc = collection.data.get('v:key1')
+    strictEqual(doc.chunks.format, 'binary')
+    strictEqual(doc.compression.algorithm, 'gzip')
+    deepStrictEqual(await storage.get('key1'), value)
+  })
+
+  await t.test('should delete previous chunks on overwrite', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('large', large, 60)
+    const previous = chunkIds(collection)
+
+    await storage.set('large', { ...large, list: [4] }, 60)
+    ok(chunkIds(collection).every(id => !previous.includes(id)))
+    deepStrictEqual(await storage.get('large'), { ...large, list: [4] })
+
+    await storage.setMany([{ key: 'large', value: 'small', ttl: 60 }])
+    deepStrictEqual(chunkIds(collection), [])
+    strictEqual(await storage.get('large'), 'small')
+  })
+
+  await t.test('should delete chunks on remove, removeMany, invalidate and clear', async () => {
+    for (const invalidation of [true, false]) {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, chunkSize: 64, invalidation })
+
+      await storage.set('key1', large, 60)
+      deepStrictEqual(await storage.remove('key1'), { values: 1, references: 0 })
+      deepStrictEqual(chunkIds(collection), [])
+
+      await storage.set('key1', large, 60)
+      await storage.set('key2', large, 60)
+      deepStrictEqual(await storage.removeMany(['key1', 'key2']), { values: 2, references: 0 })
+      deepStrictEqual(chunkIds(collection), [])
+
+      await storage.set('key1', large, 60)
+      await storage.clear()
+      deepStrictEqual(chunkIds(collection), [])
+    }
+
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('key1', large, 60, ['user:1'])
+    await storage.set('key2', large, 60, ['user:2'])
+    deepStrictEqual(await storage.invalidate('user:*'), { values: 2, references: 2 })
+    deepStrictEqual(chunkIds(collection), [])
+  })
+
+  await t.test('should refresh the expiry of chunks with their value', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('key1', large, 60)
+    await storage.refresh('key1', 3600)
+
+    const { expireAt } = collection.data.get('v:key1')
+    ok(expireAt.getTime() > Date.now() + 60 * 1000)
+    for (const id of chunkIds(collection)) {
+      deepStrictEqual(collection.data.get(id).expireAt, expireAt)
+    }
+
+    await storage.refresh('key1', 0)
+    for (const id of [...chunkIds(collection), 'v:key1']) {
+      strictEqual(collection.data.get(id).expireAt, undefined)
+    }
+  })
+
+  await t.test('should treat a value with missing chunks as a miss', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('key1', large, 60)
+    collection.data.delete(chunkIds(collection)[1])
+
+    strictEqual(await storage.get('key1'), undefined)
+    deepStrictEqual(await storage.getMany(['key1']), [undefined])
+  })
+
+  await t.test('should prune orphaned chunks', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64 })
+
+    await storage.set('live', large, 0)
+    await storage.set('orphan', large, 0)
+    await storage.set('recent', large, 0)
+
+    // Simulate writes interrupted before their value document was replaced or removed
+    collection.data.delete('v:orphan')
+    collection.data.delete('v:recent')
+    const old = new Date(Date.now() - 120 * 1000)
+    for (const id of chunkIds(collection)) {
+      const chunk = collection.data.get(id)
+      if (chunk.parent !== 'v:recent') {
+        chunk.createdAt = old
+      }
+    }
+
+    const before = chunkIds(collection).length
+    const result = await storage.pruneReferences()
+
+    strictEqual(result.chunksDeleted, before / 3)
+    strictEqual(chunkIds(collection).length, before * 2 / 3)
+    deepStrictEqual(await storage.get('live'), large)
+  })
+
+  await t.test('should not split values when chunkSize is 0', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 0 })
+
+    await storage.set('key1', 'x'.repeat(10000), 60)
+    strictEqual(collection.data.get('v:key1').value.length, 10000)
+  })
+
+  await t.test('should reject invalid chunk sizes', () => {
+    for (const chunkSize of [-1, 1.5, 16 * 1024 * 1024]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), chunkSize }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, 'chunkSize must be a non-negative integer no larger than 15728640')
+      }
+    }
+  })
+})
+
+test('MongoStorage soft TTL', async (t) => {
+  await t.test('should report fresh, stale and missing entries', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 'value1', 60, [], { softTTL: 10 })
+    await storage.set('key2', 'value2', 60)
+
+    ok(collection.data.get('v:key1').freshUntil instanceof Date)
+    strictEqual(collection.data.get('v:key2').freshUntil, undefined)
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: 'value1', status: 'fresh' })
+    deepStrictEqual(await storage.getWithStatus('key2'), { value: 'value2', status: 'fresh' })
+    deepStrictEqual(await storage.getWithStatus('missing'), { value: undefined, status: 'miss' })
+
+    collection.data.get('v:key1').freshUntil = new Date(Date.now() - 1000)
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: 'value1', status: 'stale' })
+    strictEqual(await storage.get('key1'), 'value1')
+
+    collection.data.get('v:key1').expireAt = new Date(Date.now() - 1000)
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: undefined, status: 'miss' })
+  })
+
+  await t.test('should accept softTTL in setMany entries', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.setMany([{ key: 'key1', value: 1, ttl: 60, softTTL: 5 }])
+
+    const doc = collection.data.get('v:key1')
+    ok(doc.freshUntil < doc.expireAt)
+  })
+
+  await t.test('should not serve stale entries from the L1 as fresh', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, l1: { sync: false } })
+
+    await storage.set('key1', 'value1', 60, [], { softTTL: 0.05 })
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: 'value1', status: 'fresh' })
+
+    await new Promise(resolve => setTimeout(resolve, 60))
+    strictEqual(storage.l1.has('key1'), false)
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: 'value1', status: 'stale' })
+    strictEqual(storage.l1.has('key1'), false)
+  })
+
+  await t.test('should reject invalid soft TTLs', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    for (const softTTL of [0, -1, '10']) {
+      await rejects(storage.set('key1', 1, 60, [], { softTTL }), { message: 'softTTL must be a positive number' })
+    }
+  })
+})
+
+test('MongoStorage inspect', async (t) => {
+  await t.test('should return null for missing keys', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+    strictEqual(await storage.inspect('missing'), null)
+  })
+
+  await t.test('should describe an entry with its metadata', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, namespace: 'orders', serializer: 'json' })
+
+    await storage.set('key1', { a: 1 }, 60, ['user:1', 'tenant:1'], { softTTL: 30 })
+
+    const doc = collection.data.get('n:orders:v:key1')
+    const entry = await storage.inspect('key1')
+
+    ok(entry.size > 0)
+    ok(entry.ttl >= 59 && entry.ttl <= 60)
+    deepStrictEqual({ ...entry, ttl: 0, size: 0 }, {
+      key: 'key1',
+      id: 'n:orders:v:key1',
+      value: { a: 1 },
+      status: 'fresh',
+      createdAt: doc.createdAt,
+      expireAt: doc.expireAt,
+      freshUntil: doc.freshUntil,
+      ttl: 0,
+      size: 0,
+      codec: 'json',
+      compression: null,
+      chunks: 0,
+      references: ['user:1', 'tenant:1']
+    })
+  })
+
+  await t.test('should report stale and expired entries without deleting them', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 'value', 60, [], { softTTL: 10 })
+    collection.data.get('v:key1').freshUntil = new Date(Date.now() - 1000)
+    strictEqual((await storage.inspect('key1')).status, 'stale')
+
+    collection.data.get('v:key1').expireAt = new Date(Date.now() - 1000)
+    const entry = await storage.inspect('key1')
+    strictEqual(entry.status, 'expired')
+    strictEqual(entry.ttl, 0)
+    strictEqual(collection.data.has('v:key1'), true)
+  })
+
+  await t.test('should describe entries without expiry and with hashed keys', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+    const longKey = 'k'.repeat(300)
+
+    await storage.set(longKey, 'value', 0)
+
+    const entry = await storage.inspect(longKey)
+    strictEqual(entry.id, storage._getValueKey(longKey))
+    ok(entry.id.length < longKey.length)
+    strictEqual(entry.expireAt, null)
+    strictEqual(entry.ttl, 0)
+    strictEqual(entry.codec, 'bson')
+  })
+
+  await t.test('should include compressed and chunked payloads in the size', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 64, compression: { algorithm: 'gzip', threshold: 0 } })
+    const value = Array.from({ length: 100 }, (_, i) => i)
+
+    await storage.set('key1', value, 60)
+
+    const entry = await storage.inspect('key1')
+    deepStrictEqual(entry.value, value)
+    strictEqual(entry.compression, 'gzip')
+    ok(entry.chunks > 1)
+    ok(entry.size > 64 * (entry.chunks - 1))
+  })
+})
+
+test('MongoStorage metrics', async (t) => {
+  await t.test('should count hits, misses, sets and removes', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 'value1', 60, [], { softTTL: 10 })
+    await storage.setMany([{ key: 'key2', value: 'value2', ttl: 60 }])
+    await storage.get('key1')
+    await storage.get('missing')
+    await storage.getMany(['key1', 'key2', 'missing'])
+    collection.data.get('v:key1').freshUntil = new Date(Date.now() - 1000)
+    await storage.getWithStatus('key1')
+    await storage.remove('key1')
+    await storage.removeMany(['key2', 'missing'])
+
+    const metrics = storage.metrics()
+    strictEqual(metrics.sets, 2)
+    strictEqual(metrics.hits, 4)
+    strictEqual(metrics.misses, 2)
+    strictEqual(metrics.staleHits, 1)
+    strictEqual(metrics.l1Hits, 0)
+    strictEqual(metrics.hitRatio, 4 / 6)
+    strictEqual(metrics.removes, 2)
+  })
+
+  await t.test('should count L1 hits', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection(), l1: { sync: false } })
+
+    await storage.set('key1', 'value1', 60)
+    await storage.get('key1')
+    await storage.getMany(['key1'])
+
+    const metrics = storage.metrics()
+    strictEqual(metrics.hits, 2)
+    strictEqual(metrics.l1Hits, 2)
+  })
+
+  await t.test('should count invalidations and their affected documents', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    await storage.set('key1', 'value1', 60, ['user:1'])
+    await storage.set('key2', 'value2', 60, ['user:1'])
+    await storage.invalidate('user:1', { dryRun: true })
+    await storage.invalidate('user:1')
+
+    const metrics = storage.metrics()
+    strictEqual(metrics.invalidations, 1)
+    strictEqual(metrics.invalidatedValues, 2)
+    strictEqual(metrics.invalidatedReferences, 1)
+  })
+
+  await t.test('should record latency and errors per operation', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, latencyBuckets: [0.5, 1] })
+
+    await storage.set('key1', 'value1', 60)
+    await storage.get('key1')
+    collection.findOne = async () => { throw new Error('boom') }
+    await rejects(storage.get('key1'), { message: 'boom' })
+
+    const { latency, errors } = storage.metrics()
+    strictEqual(latency.set.count, 1)
+    strictEqual(latency.get.count, 2)
+    strictEqual(latency.get.buckets.length, 2)
+    deepStrictEqual(errors, { get: 1 })
+  })
+
+  await t.test('should serialize to the Prometheus text format', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    await storage.get('missing')
+
+    const text = toPrometheus(storage.metrics(), { labels: { cache: 'test' } })
+    ok(text.includes('mongo_cache_misses_total{cache="test"} 1\n'))
+    ok(text.includes('mongo_cache_operation_duration_seconds_count{cache="test",operation="get"} 1\n'))
+  })
+})
+
+test('MongoStorage tracing channels', async (t) => {
+  // Record the events published on an operation's tracing channel
+  function subscribe (operation) {
+    const channel = diagnosticsChannel.tracingChannel(`mongo-cache-dedupe:${operation}`)
+    const events = []
+    const handlers = {}
+    for (const name of ['start', 'end', 'asyncStart', 'asyncEnd', 'error']) {
+      handlers[name] = (context) => events.push({ name, context: { ...context } })
+    }
+    channel.subscribe(handlers)
+    t.after(() => channel.unsubscribe(handlers))
+    return events
+  }
+
+  await t.test('should publish get events with hit and miss', async () => {
+    const events = subscribe('get')
+    const storage = new MongoStorage({ collection: new MockCollection(), namespace: 'orders' })
+
+    await storage.set('key1', 'value1', 60)
+    await storage.get('key1')
+    await storage.get('missing')
+
+    deepStrictEqual(events.map(event => event.name), ['start', 'end', 'asyncStart', 'asyncEnd', 'start', 'end', 'asyncStart', 'asyncEnd'])
+    deepStrictEqual(events[0].context, { operation: 'get', namespace: 'orders', key: 'key1' })
+    strictEqual(events[3].context.hit, true)
+    strictEqual(events[3].context.result, 'value1')
+    strictEqual(events[7].context.key, 'missing')
+    strictEqual(events[7].context.hit, false)
+  })
+
+  await t.test('should publish set and invalidate events with reference counts', async () => {
+    const setEvents = subscribe('set')
+    const invalidateEvents = subscribe('invalidate')
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    await storage.set('key1', 'value1', 60, ['user:1', 'tenant:1'])
+    await storage.invalidate(['user:1'])
+
+    deepStrictEqual(setEvents[0].context, { operation: 'set', namespace: undefined, key: 'key1', ttl: 60, referenceCount: 2 })
+    const done = invalidateEvents.find(event => event.name === 'asyncEnd')
+    deepStrictEqual(done.context.references, ['user:1'])
+    strictEqual(done.context.referenceCount, 1)
+    deepStrictEqual(done.context.result, { values: 1, references: 1 })
+  })
+
+  await t.test('should publish error events', async () => {
+    const events = subscribe('exists')
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    collection.findOne = async () => { throw new Error('boom') }
+
+    await rejects(storage.exists('key1'), { message: 'boom' })
+
+    const error = events.find(event => event.name === 'error')
+    strictEqual(error.context.key, 'key1')
+    strictEqual(error.context.error.message, 'boom')
+  })
+
+  await t.test('should describe batch reads', async () => {
+    const events = subscribe('getMany')
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    await storage.set('key1', 'value1', 60)
+    await storage.getMany(['key1', 'missing'])
+
+    const done = events.find(event => event.name === 'asyncEnd')
+    deepStrictEqual(done.context.keys, ['key1', 'missing'])
+    strictEqual(done.context.hits, 1)
+    strictEqual(done.context.misses, 1)
+  })
+
+  await t.test('should describe lease acquisition', async () => {
+    const events = subscribe('acquireLease')
+    const storage = new MongoStorage({ collection: new MockCollection() })
+
+    await storage.acquireLease('key1', 10)
+    await storage.acquireLease('key1', 10)
+
+    const done = events.filter(event => event.name === 'asyncEnd')
+    deepStrictEqual(events[0].context, { operation: 'acquireLease', namespace: undefined, key: 'key1', ttl: 10 })
+    strictEqual(done[0].context.acquired, true)
+    strictEqual(done[1].context.acquired, false)
+  })
+})
+
+test('MongoStorage fail-open mode', async (t) => {
+  // Collection whose every operation fails as if MongoDB were unreachable
+  function unavailable (collection) {
+    const calls = { count: 0 }
+    for (const method of ['findOne', 'find', 'findOneAndReplace', 'findOneAndDelete', 'findOneAndUpdate', 'bulkWrite', 'deleteMany']) {
+      collection[method] = () => {
+        calls.count++
+        if (method === 'find') {
+          const cursor = {
+            project: () => cursor,
+            batchSize: () => cursor,
+            toArray: async () => { throw new MongoNetworkError('connection refused') },
+            [Symbol.asyncIterator]: async function * () {
+              yield * await cursor.toArray()
+            }
+          }
+          return cursor
+        }
+        return Promise.reject(new MongoNetworkError('connection refused'))
+      }
+    }
+    return calls
+  }
+
+  const logger = () => {
+    const warnings = []
+    return { warnings, warn: (obj, msg) => warnings.push({ ...obj, msg }) }
+  }
+
+  await t.test('should reject errors without failOpen', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    unavailable(collection)
+
+    await rejects(storage.get('key1'), MongoNetworkError)
+    strictEqual(storage.breakerState, null)
+  })
+
+  await t.test('should degrade reads to misses and writes to no-ops', async () => {
+    const collection = new MockCollection()
+    const log = logger()
+    const storage = new MongoStorage({ collection, failOpen: { threshold: 100 }, logger: log })
+    unavailable(collection)
+
+    strictEqual(await storage.get('key1'), undefined)
+    deepStrictEqual(await storage.getWithStatus('key1'), { value: undefined, status: 'miss' })
+    deepStrictEqual(await storage.getMany(['key1', 'key2']), [undefined, undefined])
+    strictEqual(await storage.exists('key1'), false)
+    strictEqual(await storage.getTTL('key1'), 0)
+    strictEqual(await storage.set('key1', 'value', 60), undefined)
+    strictEqual(await storage.setMany([{ key: 'key1', value: 'value', ttl: 60 }]), undefined)
+    strictEqual(await storage.refresh('key1', 60), undefined)
+    deepStrictEqual(await storage.remove('key1'), { values: 0, references: 0 })
+    deepStrictEqual(await storage.removeMany(['key1']), { values: 0, references: 0 })
+
+    strictEqual(log.warnings.length, 10)
+    strictEqual(log.warnings[0].operation, 'get')
+    ok(log.warnings[0].err instanceof MongoNetworkError)
+    strictEqual(storage.metrics().errors.get, 1)
+  })
+
+  await t.test('should still reject invalidation, clear and usage errors', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, failOpen: true, logger: logger() })
+
+    await rejects(storage.set('key1', 1, 60, [], { softTTL: -1 }), { message: 'softTTL must be a positive number' })
+
+    collection.findOne = () => Promise.reject(new MongoServerError({ message: 'unauthorized', code: 13 }))
+    await rejects(storage.get('key1'), { code: 13 })
+    strictEqual(storage._breaker.failures, 0)
+
+    unavailable(collection)
+    await rejects(storage.invalidate('user:1'), MongoNetworkError)
+    await rejects(storage.clear(), MongoNetworkError)
+  })
+
+  await t.test('should serve the L1 and evict written keys while the circuit is open', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, failOpen: { threshold: 1 }, l1: { sync: false }, logger: logger() })
+
+    await storage.set('key1', 'value1', 60)
+    await storage.set('key2', 'value2', 60)
+    unavailable(collection)
+
+    strictEqual(await storage.get('missing'), undefined)
+    strictEqual(storage.breakerState, 'open')
+
+    strictEqual(await storage.get('key1'), 'value1')
+    deepStrictEqual(await storage.getMany(['key1', 'missing']), ['value1', undefined])
+    strictEqual(await storage.exists('key2'), true)
+
+    await storage.set('key2', 'updated', 60)
+    strictEqual(storage.l1.has('key2'), false)
+    await storage.remove('key1')
+    strictEqual(storage.l1.has('key1'), false)
+  })
+
+  await t.test('should open the circuit and stop sending traffic', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, failOpen: { threshold: 2, cooldown: 20 }, logger: logger() })
+    const events = []
+    storage.on('breakerStateChange', event => events.push(event))
+
+    const calls = unavailable(collection)
+    await storage.get('key1')
+    await storage.get('key1')
+    strictEqual(storage.breakerState, 'open')
+    deepStrictEqual(events, [{ state: 'open', previousState: 'closed', failures: 2 }])
+
+    const before = calls.count
+    strictEqual(await storage.get('key1'), undefined)
+    await storage.set('key1', 'value', 60)
+    strictEqual(calls.count, before)
+
+    // Recover: the probe after the cooldown closes the circuit
+    const healthy = new MockCollection()
+    storage.collection = healthy
+    await new Promise(resolve => setTimeout(resolve, 30))
+    await storage.set('key1', 'value', 60)
+    strictEqual(storage.breakerState, 'closed')
+    strictEqual(await storage.get('key1'), 'value')
+    deepStrictEqual(events.map(event => event.state), ['open', 'halfOpen', 'closed'])
+  })
+})
+
+test('MongoStorage timeouts and retries', async (t) => {
+  // Make the next calls of a collection method reject, then behave normally
+  function failTimes (collection, method, times, error) {
+    const original = collection[method].bind(collection)
+    const calls = { count: 0 }
+    collection[method] = (...args) => {
+      calls.count++
+      return calls.count <= times ? Promise.reject(error()) : original(...args)
+    }
+    return calls
+  }
+
+  const notWritablePrimary = () => new MongoServerError({ message: 'not primary', code: 10107 })
+
+  await t.test('should pass the timeout of each kind of operation to MongoDB', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, timeouts: { read: 50, write: 200, invalidate: 1000 } })
+    const seen = []
+    for (const method of ['findOne', 'findOneAndReplace', 'deleteMany']) {
+      const original = collection[method].bind(collection)
+      collection[method] = (filter, ...rest) => {
+        seen.push([method, rest[rest.length - 1]?.timeoutMS])
+        return original(filter, ...rest)
+      }
+    }
+
+    await storage.set('key1', 'value', 60)
+    await storage.get('key1')
+    await storage.clear()
+
+    deepStrictEqual(seen, [
+      ['findOneAndReplace', 200],
+      ['findOne', 50],
+      ['deleteMany', 1000],
+      ['deleteMany', 1000],
+      ['deleteMany', 1000]
+    ])
+  })
+
+  await t.test('should bound each invalidation batch rather than the whole cursor', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, timeouts: { invalidate: 1000 } })
+    const find = collection.find.bind(collection)
+    const options = []
+    collection.find = (filter, findOptions) => {
+      options.push(findOptions)
+      return find(filter, findOptions)
+    }
+
+    await storage.set('key1', 'value', 60, ['user:1'])
+    await storage.invalidate('user:1')
+
+    deepStrictEqual(options[0], { timeoutMS: 1000, timeoutMode: 'iteration' })
+  })
+
+  await t.test('should pass no timeout by default', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    deepStrictEqual(storage._commandOptions('read', { projection: { _id: 1 } }), { projection: { _id: 1 } })
+  })
+
+  await t.test('should reject invalid timeouts', () => {
+    for (const [timeouts, message] of [
+      [{ read: -1 }, 'timeouts.read must be a non-negative integer'],
+      [{ write: 1.5 }, 'timeouts.write must be a non-negative integer']
+    ]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), timeouts }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, message)
+      }
+    }
+  })
+
+  await t.test('should retry transient errors', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { retries: 2, minDelay: 1, maxDelay: 5 } })
+    const retries = []
+    storage.on('retry', event => retries.push(event))
+
+    const calls = failTimes(collection, 'findOneAndReplace', 2, notWritablePrimary)
+    await storage.set('key1', 'value', 60)
+
+    strictEqual(calls.count, 3)
+    strictEqual(await storage.get('key1'), 'value')
+    deepStrictEqual(retries.map(({ operation, attempt }) => ({ operation, attempt })), [
+      { operation: 'set', attempt: 1 },
+      { operation: 'set', attempt: 2 }
+    ])
+    ok(retries[0].err instanceof MongoServerError)
+    strictEqual(storage.metrics().retries, 2)
+    strictEqual(storage.metrics().errors.set, undefined)
+  })
+
+  await t.test('should give up after the configured retries', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { retries: 1, minDelay: 1, maxDelay: 1 } })
+
+    const calls = failTimes(collection, 'findOne', 5, () => new MongoNetworkError('connection reset'))
+    await rejects(storage.get('key1'), MongoNetworkError)
+
+    strictEqual(calls.count, 2)
+    strictEqual(storage.metrics().errors.get, 1)
+  })
+
+  await t.test('should not retry other errors', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { minDelay: 1, maxDelay: 1 } })
+
+    const calls = failTimes(collection, 'findOne', 5, () => new MongoServerError({ message: 'unauthorized', code: 13 }))
+    await rejects(storage.get('key1'), { code: 13 })
+    strictEqual(calls.count, 1)
+
+    await rejects(storage.set('key1', 1, 60, [], { softTTL: -1 }), { message: 'softTTL must be a positive number' })
+    strictEqual(storage.metrics().retries, 0)
+  })
+
+  await t.test('should not retry without the retry option', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    const calls = failTimes(collection, 'findOne', 1, notWritablePrimary)
+    await rejects(storage.get('key1'), { code: 10107 })
+    strictEqual(calls.count, 1)
+  })
+
+  await t.test('should apply a retried set once', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { minDelay: 1, maxDelay: 1 } })
+    await storage.set('key1', 'original value', 60, ['user:1'])
+
+    // The first replace is applied but its response is lost
+    const original = collection.findOneAndReplace.bind(collection)
+    let failed = false
+    collection.findOneAndReplace = async (...args) => {
+      const result = await original(...args)
+      if (!failed) {
+        failed = true
+        throw new MongoNetworkError('connection reset')
+      }
+      return result
+    }
+
+    await storage.set('key1', 'new value', 60, ['user:1'])
+
+    strictEqual(await storage.get('key1'), 'new value')
+    deepStrictEqual(collection.data.get('r:user:1').keys, ['key1'])
+    deepStrictEqual(collection.data.get('v:key1').references, ['user:1'])
+  })
+
+  await t.test('should prune references dropped by a retried set', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { minDelay: 1, maxDelay: 1 } })
+    await storage.set('key1', 'original value', 60, ['user:1'])
+    await storage.set('key2', 'other value', 60, ['user:1'])
+
+    // The first replace is applied but its response is lost: the retry sees its own value as previous
+    const original = collection.findOneAndReplace.bind(collection)
+    collection.findOneAndReplace = async (...args) => {
+      await original(...args)
+      collection.findOneAndReplace = original
+      throw new MongoNetworkError('connection reset')
+    }
+
+    await storage.set('key1', 'new value', 60, ['user:2'])
+    deepStrictEqual(collection.data.get('r:user:1').keys, ['key1', 'key2'])
+
+    const result = await storage.pruneReferences()
+    strictEqual(result.keysPruned, 1)
+    deepStrictEqual(collection.data.get('r:user:1').keys, ['key2'])
+
+    await storage.invalidate('user:1')
+    strictEqual(await storage.get('key1'), 'new value')
+  })
+
+  await t.test('should count a retried operation once in the circuit breaker', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({
+      collection,
+      failOpen: { threshold: 2 },
+      retry: { retries: 3, minDelay: 1, maxDelay: 1 },
+      logger: { warn: () => {} }
+    })
+
+    failTimes(collection, 'findOne', 10, () => new MongoNetworkError('connection refused'))
+    strictEqual(await storage.get('key1'), undefined)
+    strictEqual(storage.breakerState, 'closed')
+    strictEqual(storage.metrics().retries, 3)
+  })
+})
+
+test('MongoStorage read preference and concerns', async (t) => {
+  // Record the options passed to collection methods
+  function spy (collection, methods) {
+    const seen = []
+    for (const method of methods) {
+      const original = collection[method].bind(collection)
+      collection[method] = (...args) => {
+        seen.push([method, args[args.length - 1]])
+        return original(...args)
+      }
+    }
+    return seen
+  }
+
+  const options = {
+    readPreference: { read: 'nearest', invalidate: 'primary' },
+    readConcern: { read: 'local', invalidate: 'majority' },
+    writeConcern: { write: { w: 0 }, invalidate: { w: 'majority' } }
+  }
+
+  await t.test('should apply the settings of each kind of operation', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, ...options })
+    const seen = spy(collection, ['findOne', 'find', 'findOneAndReplace', 'findOneAndDelete', 'findOneAndUpdate', 'deleteMany'])
+
+    await storage.set('key1', 'value', 60)
+    await storage.get('key1')
+    await storage.refresh('key1', 120)
+    await storage.remove('key1')
+    await storage.clear()
+
+    deepStrictEqual(seen.map(([method, options]) => [method, options.readPreference, options.readConcern, options.writeConcern]), [
+      ['findOneAndReplace', undefined, undefined, { w: 1 }],
+      ['findOne', 'nearest', 'local', undefined],
+      ['findOneAndUpdate', undefined, undefined, { w: 1 }],
+      ['findOneAndDelete', undefined, undefined, { w: 'majority' }],
+      ['deleteMany', undefined, undefined, { w: 'majority' }],
+      ['deleteMany', undefined, undefined, { w: 'majority' }],
+      ['deleteMany', undefined, undefined, { w: 'majority' }]
+    ])
+  })
+
+  await t.test('should acknowledge refresh() to extend chunks with w: 0', async () => {
+    for (const settings of [{ writeConcern: { write: { w: 0 } } }, {}]) {
+      const collection = new MockCollection()
+      if (!settings.writeConcern) {
+        collection.writeConcern = { w: 0 }
+      }
+      const storage = new MongoStorage({ collection, chunkSize: 16, ...settings })
+      await storage.set('key1', 'x'.repeat(100), 60)
+
+      // Unacknowledged writes return no document
+      const findOneAndUpdate = collection.findOneAndUpdate.bind(collection)
+      collection.findOneAndUpdate = async (filter, update, options) => {
+        const doc = await findOneAndUpdate(filter, update, options)
+        return (options.writeConcern ?? collection.writeConcern).w === 0 ? null : doc
+      }
+
+      await storage.refresh('key1', 600)
+      for (const doc of collection.data.values()) {
+        ok(doc.expireAt.getTime() > Date.now() + 500 * 1000)
+      }
+    }
+  })
+
+  await t.test('should acknowledge set() to unlink previous references and chunks with w: 0', async () => {
+    for (const settings of [{ writeConcern: { write: { w: 0 } } }, {}]) {
+      const collection = new MockCollection()
+      if (!settings.writeConcern) {
+        collection.writeConcern = { w: 0 }
+      }
+      const storage = new MongoStorage({ collection, chunkSize: 16, ...settings })
+      await storage.set('key1', 'x'.repeat(100), 60, ['user:1'])
+
+      // Unacknowledged writes return no document
+      const seen = spy(collection, ['insertMany', 'findOneAndReplace'])
+      const findOneAndReplace = collection.findOneAndReplace.bind(collection)
+      collection.findOneAndReplace = async (filter, doc, options) => {
+        const previous = await findOneAndReplace(filter, doc, options)
+        return (options.writeConcern ?? collection.writeConcern).w === 0 ? null : previous
+      }
+
+      await storage.set('key1', 'y'.repeat(100), 60, ['user:2'])
+      deepStrictEqual(seen.map(([method, options]) => [method, options.writeConcern]), [
+        ['insertMany', { w: 1 }],
+        ['findOneAndReplace', { w: 1 }]
+      ])
+      strictEqual(collection.data.has('r:user:1'), false)
+      const chunks = Array.from(collection.data.keys()).filter(id => id.startsWith('c:'))
+      strictEqual(chunks.length, collection.data.get('v:key1').chunks.count)
+    }
+  })
+
+  await t.test('should read references of an invalidation from the primary', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, ...options })
+    await storage.set('key1', 'value', 60, ['user:1'])
+    const seen = spy(collection, ['find', 'deleteMany'])
+
+    deepStrictEqual(await storage.invalidate('user:1'), { values: 1, references: 1 })
+
+    deepStrictEqual(seen[0], ['find', { readPreference: 'primary', readConcern: 'majority' }])
+    ok(seen.filter(([method]) => method === 'deleteMany').every(([, options]) => options.writeConcern.w === 'majority'))
+  })
+
+  await t.test('should use the collection defaults when not configured', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+    deepStrictEqual(storage._readOptions('read'), {})
+    deepStrictEqual(storage._writeOptions('invalidate', { ordered: false }), { ordered: false })
+  })
+
+  await t.test('should reject settings that would weaken invalidation', () => {
+    for (const [settings, message] of [
+      [{ readPreference: { invalidate: 'secondaryPreferred' } }, 'readPreference.invalidate must be primary'],
+      [{ readPreference: { invalidate: { mode: 'nearest' } } }, 'readPreference.invalidate must be primary'],
+      [{ writeConcern: { invalidate: { w: 0 } } }, 'writeConcern.invalidate must be acknowledged']
+    ]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), ...settings }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, message)
+      }
+    }
+  })
+
+  await t.test('should not inherit weaker collection defaults for invalidation', () => {
+    const collection = new MockCollection()
+    collection.readPreference = { mode: 'secondary' }
+    collection.writeConcern = { w: 0 }
+    const storage = new MongoStorage({ collection })
+
+    deepStrictEqual(storage._readOptions('invalidate'), { readPreference: 'primary' })
+    deepStrictEqual(storage._writeOptions('invalidate'), { writeConcern: { w: 1 } })
+    deepStrictEqual(storage._readOptions('read'), {})
+    deepStrictEqual(storage._writeOptions('write'), {})
+  })
+})
+
+test('MongoStorage leases', async (t) => {
+  await t.test('should grant a lease to one caller at a time', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    const token = await storage.acquireLease('key1', 10)
+    strictEqual(typeof token, 'string')
+    strictEqual(await storage.acquireLease('key1', 10), null)
+    ok(await storage.acquireLease('key2', 10))
+
+    const lease = collection.data.get('l:key1')
+    strictEqual(lease.key, 'key1')
+    strictEqual(lease.token, token)
+    ok(lease.expireAt.getTime() > Date.now() + 9000)
+
+    strictEqual(await storage.releaseLease('key1', 'someone-else'), false)
+    strictEqual(await storage.releaseLease('key1', token), true)
+    strictEqual(await storage.releaseLease('key1', token), false)
+    ok(await storage.acquireLease('key1', 10))
+  })
+
+  await t.test('should take over an expired lease', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    const stale = await storage.acquireLease('key1', 10)
+    collection.data.get('l:key1').expireAt = new Date(Date.now() - 1000)
+
+    const token = await storage.acquireLease('key1', 10)
+    ok(token)
+    strictEqual(collection.data.get('l:key1').token, token)
+    strictEqual(await storage.releaseLease('key1', stale), false)
+  })
+
+  await t.test('should scope leases to the namespace', async () => {
+    const collection = new MockCollection()
+    const a = new MongoStorage({ collection, namespace: 'a' })
+    const b = new MongoStorage({ collection, namespace: 'b' })
+
+    ok(await a.acquireLease('key1', 10))
+    ok(await b.acquireLease('key1', 10))
+    strictEqual(collection.data.get('n:a:l:key1').namespace, 'a')
+  })
+
+  await t.test('should reject invalid lease ttls', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+    await rejects(storage.acquireLease('key1', 0), { message: 'ttl must be a positive number' })
+    await rejects(storage.acquireLease('key1'), { message: 'ttl must be a positive number' })
+  })
+
+  await t.test('should recognize its own lease when acquiring is retried', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, retry: { minDelay: 1, maxDelay: 1 } })
+
+    // The insert is applied but its response is lost
+    const insertOne = collection.insertOne.bind(collection)
+    let failed = false
+    collection.insertOne = async (...args) => {
+      const result = await insertOne(...args)
+      if (!failed) {
+        failed = true
+        throw new MongoNetworkError('connection reset')
+      }
+      return result
+    }
+
+    const token = await storage.acquireLease('key1', 10)
+    strictEqual(collection.data.get('l:key1').token, token)
+  })
+
+  await t.test('should wait for the holder to store the value', async () => {
+    const collection = new MockCollection()
+    const holder = new MongoStorage({ collection })
+    const waiter = new MongoStorage({ collection })
+
+    const token = await holder.acquireLease('key1', 10)
+    strictEqual(await waiter.acquireLease('key1', 10), null)
+
+    setTimeout(async () => {
+      await holder.set('key1', 'computed', 60)
+      await holder.releaseLease('key1', token)
+    }, 30)
+
+    strictEqual(await waiter.waitForValue('key1', { interval: 5 }), 'computed')
+    strictEqual(waiter.metrics().hits, 1)
+  })
+
+  await t.test('should stop waiting when the lease is released without a value', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    const token = await storage.acquireLease('key1', 10)
+    setTimeout(() => storage.releaseLease('key1', token), 20)
+
+    const start = Date.now()
+    strictEqual(await storage.waitForValue('key1', { interval: 5, timeout: 1000 }), undefined)
+    ok(Date.now() - start < 500)
+  })
+
+  await t.test('should stop waiting after the timeout', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.acquireLease('key1', 10)
+    const start = Date.now()
+    strictEqual(await storage.waitForValue('key1', { interval: 5, timeout: 30 }), undefined)
+    ok(Date.now() - start >= 25)
+  })
+
+  await t.test('should return an existing value without waiting', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 'value', 60)
+    strictEqual(await storage.waitForValue('key1'), 'value')
+    strictEqual(await storage.waitForValue('missing'), undefined)
+  })
+
+  await t.test('should grant leases in fail-open mode when MongoDB is unavailable', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, failOpen: true, logger: { warn: () => {} } })
+    collection.insertOne = () => Promise.reject(new MongoNetworkError('connection refused'))
+    collection.deleteOne = () => Promise.reject(new MongoNetworkError('connection refused'))
+
+    const token = await storage.acquireLease('key1', 10)
+    strictEqual(typeof token, 'string')
+    strictEqual(await storage.releaseLease('key1', token), false)
+  })
+})
+
+test('MongoStorage capacity limits', async (t) => {
+  // Let fire-and-forget access updates settle
+  const settle = () => new Promise(resolve => setImmediate(resolve))
+
+  await t.test('should reject invalid limits', () => {
+    for (const [options, message] of [
+      [{ maxEntries: 0 }, 'maxEntries must be a positive integer'],
+      [{ maxBytes: 1.5 }, 'maxBytes must be a positive integer'],
+      [{ maxEntries: 10, evictionPolicy: 'fifo' }, 'evictionPolicy must be one of: lru, lfu'],
+      [{ maxEntries: 10, evictionInterval: -1 }, 'evictionInterval must be a non-negative number']
+    ]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), evictionInterval: 0, ...options }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, message)
+      }
+    }
+  })
+
+  await t.test('should only track sizes and reads with a limit', async () => {
+    const collection = new MockCollection()
+    const plain = new MongoStorage({ collection })
+    await plain.set('plain', 'value', 0)
+    const doc = collection.data.get('v:plain')
+    strictEqual(doc.size, undefined)
+    strictEqual(doc.accessedAt, undefined)
+
+    const limited = new MongoStorage({ collection, namespace: 'limited', maxBytes: 1000, evictionInterval: 0 })
+    await limited.set('key1', 'value', 0)
+    const tracked = collection.data.get('n:limited:v:key1')
+    strictEqual(tracked.size, Buffer.byteLength('value'))
+    deepStrictEqual(tracked.accessedAt, tracked.createdAt)
+    strictEqual(tracked.hits, undefined)
+  })
+
+  await t.test('should create the index of the eviction policy', async () => {
+    const lru = new MockCollection()
+    await new MongoStorage({ collection: lru, maxEntries: 10, evictionInterval: 0 }).ready()
+    ok(lru.indexList.some(index => index.name === 'accessedAt_1'))
+
+    const lfu = new MockCollection()
+    await new MongoStorage({ collection: lfu, maxEntries: 10, evictionPolicy: 'lfu', evictionInterval: 0 }).ready()
+    ok(lfu.indexList.some(index => index.name === 'hits_1_accessedAt_1'))
+  })
+
+  await t.test('should sort values on the key of a non-sparse index', async () => {
+    for (const evictionPolicy of ['lru', 'lfu']) {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, maxEntries: 1, evictionPolicy, evictionInterval: 0 })
+      await storage.ready()
+      await storage.set('key1', 'value1', 0)
+      await storage.set('key2', 'value2', 0)
+
+      const sorts = []
+      const find = collection.find.bind(collection)
+      collection.find = (filter, options) => {
+        const cursor = find(filter, options)
+        const sort = cursor.sort
+        cursor.sort = (spec) => {
+          sorts.push(spec)
+          return sort(spec)
+        }
+        return cursor
+      }
+      await storage.evict()
+
+      const index = collection.indexList.find(index => index.name !== '_id_' && index.name !== 'expireAt_1')
+      deepStrictEqual(sorts, [index.key])
+      strictEqual(index.sparse, undefined)
+    }
+  })
+
+  await t.test('should evict the least recently read values beyond maxEntries', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 2, evictionInterval: 0 })
+
+    await storage.set('key1', 'value1', 0, ['user:1'])
+    await storage.set('key2', 'value2', 0, ['user:1'])
+    await storage.set('key3', 'value3', 0)
+
+    // Age the entries, key1 being the oldest
+    const minute = 60 * 1000
+    collection.data.get('v:key1').accessedAt = new Date(Date.now() - 3 * minute)
+    collection.data.get('v:key2').accessedAt = new Date(Date.now() - 2 * minute)
+    collection.data.get('v:key3').accessedAt = new Date(Date.now() - minute)
+
+    // Reading key1 makes key2 the least recently read
+    strictEqual(await storage.get('key1'), 'value1')
+    await settle()
+    ok(collection.data.get('v:key1').accessedAt.getTime() > Date.now() - 1000)
+
+    deepStrictEqual(await storage.evict(), { values: 1, references: 0, bytes: collection.data.get('v:key3').size })
+    strictEqual(await storage.get('key2'), undefined)
+    strictEqual(await storage.get('key1'), 'value1')
+    strictEqual(await storage.get('key3'), 'value3')
+    deepStrictEqual(collection.data.get('r:user:1').keys, ['key1'])
+    strictEqual(storage.metrics().evictions, 1)
+
+    deepStrictEqual(await storage.evict(), { values: 0, references: 0, bytes: 0 })
+  })
+
+  await t.test('should not rewrite recent access times', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 10, evictionInterval: 0 })
+    await storage.set('key1', 'value1', 0)
+    const updateMany = collection.updateMany.bind(collection)
+    let updates = 0
+    collection.updateMany = (...args) => {
+      updates++
+      return updateMany(...args)
+    }
+
+    await storage.get('key1')
+    await storage.getMany(['key1'])
+    strictEqual(updates, 0)
+  })
+
+  await t.test('should evict values beyond maxBytes, with their chunks', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxBytes: 50, chunkSize: 32, evictionInterval: 0 })
+
+    await storage.set('big', 'x'.repeat(80), 0)
+    await storage.set('small', 'y', 0)
+    collection.data.get('v:big').accessedAt = new Date(0)
+    ok(Array.from(collection.data.keys()).some(id => id.startsWith('c:')))
+
+    const result = await storage.evict()
+    strictEqual(result.values, 1)
+    strictEqual(await storage.get('big'), undefined)
+    strictEqual(await storage.get('small'), 'y')
+    strictEqual(Array.from(collection.data.keys()).some(id => id.startsWith('c:')), false)
+  })
+
+  await t.test('should evict the least often read values with lfu', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 2, evictionPolicy: 'lfu', evictionInterval: 0 })
+
+    await storage.set('key1', 'value1', 0)
+    await storage.set('key2', 'value2', 0)
+    await storage.get('key1')
+    await storage.getMany(['key1', 'key2'])
+    await settle()
+
+    // Reads are counted in memory until a minute has passed since hits were last written
+    strictEqual(collection.data.get('v:key1').hits, 1)
+    strictEqual(collection.data.get('v:key2').hits, 0)
+
+    storage._hitsWrittenAt -= 60 * 1000
+    await storage.get('key1')
+    await storage.set('key3', 'value3', 0)
+    await settle()
+
+    strictEqual(collection.data.get('v:key1').hits, 3)
+    strictEqual(collection.data.get('v:key2').hits, 1)
+
+    await storage.evict()
+    strictEqual(await storage.exists('key3'), false)
+    strictEqual(await storage.exists('key1'), true)
+    strictEqual(await storage.exists('key2'), true)
+  })
+
+  await t.test('should keep the hits of overwritten values with lfu', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 10, evictionPolicy: 'lfu', evictionInterval: 0 })
+
+    await storage.set('key1', 'value1', 0)
+    await storage.set('key2', 'value2', 0)
+    collection.data.get('v:key1').hits = 5
+    collection.data.get('v:key2').hits = 3
+
+    await storage.set('key1', 'value1b', 0)
+    await storage.setMany([{ key: 'key2', value: 'value2b', ttl: 0 }, { key: 'key3', value: 'value3', ttl: 0 }])
+
+    strictEqual(collection.data.get('v:key1').hits, 5)
+    strictEqual(collection.data.get('v:key2').hits, 3)
+    strictEqual(collection.data.get('v:key3').hits, 0)
+  })
+
+  await t.test('should evict peers\' L1 entries', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 1, evictionInterval: 0, l1: { sync: false } })
+
+    await storage.set('key1', 'value1', 0)
+    await storage.set('key2', 'value2', 0)
+    collection.data.get('v:key1').accessedAt = new Date(0)
+
+    await storage.evict()
+    strictEqual(storage.l1.has('key1'), false)
+    const event = Array.from(collection.data.values()).find(doc => doc._id.startsWith('e:'))
+    deepStrictEqual(event.keys, ['key1'])
+  })
+
+  await t.test('should evict periodically', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, maxEntries: 1, evictionInterval: 0.01 })
+
+    await storage.set('key1', 'value1', 0)
+    await storage.set('key2', 'value2', 0)
+    await new Promise(resolve => setTimeout(resolve, 40))
+    await storage.close()
+
+    strictEqual(Array.from(collection.data.keys()).filter(id => id.startsWith('v:')).length, 1)
+    strictEqual(storage._evictionTimer, null)
+  })
+
+  await t.test('should do nothing without limits', async () => {
+    const storage = new MongoStorage({ collection: new MockCollection() })
+    await storage.set('key1', 'value1', 0)
+    deepStrictEqual(await storage.evict(), { values: 0, references: 0, bytes: 0 })
+  })
+})
+
+test('MongoStorage sliding expiration', async (t) => {
+  // Move the expiry of a value (and its chunks) to `seconds` from now
+  const expireIn = (collection, prefix, seconds) => {
+    const expireAt = new Date(Date.now() + seconds * 1000)
+    for (const doc of collection.data.values()) {
+      if (doc._id.startsWith(prefix)) {
+        doc.expireAt = expireAt
+      }
+    }
+    return expireAt
+  }
+
+  await t.test('should store the TTL of sliding values only', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    await storage.set('key2', 'value2', 0)
+    await storage.set('key3', 'value3', 100, [], { slidingExpiration: false })
+
+    strictEqual(collection.data.get('v:key1').ttl, 100)
+    strictEqual(collection.data.get('v:key2').ttl, undefined)
+    strictEqual(collection.data.get('v:key3').ttl, undefined)
+  })
+
+  await t.test('should extend the expiry on get', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    expireIn(collection, 'v:key1', 10)
+
+    strictEqual(await storage.get('key1'), 'value1')
+    ok(await storage.getTTL('key1') >= 99)
+  })
+
+  await t.test('should not write before a tenth of the TTL has elapsed', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    const expireAt = expireIn(collection, 'v:key1', 95)
+
+    let writes = 0
+    const bulkWrite = collection.bulkWrite.bind(collection)
+    collection.bulkWrite = (operations, options) => {
+      writes++
+      return bulkWrite(operations, options)
+    }
+
+    await storage.get('key1')
+    await storage.getMany(['key1'])
+    strictEqual(writes, 0)
+    deepStrictEqual(collection.data.get('v:key1').expireAt, expireAt)
+  })
+
+  await t.test('should keep L1 entries until the expiry may be extended', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true, l1: { sync: false, ttl: 600 } })
+
+    await storage.set('key1', 'value1', 100)
+    await storage.set('key2', 'value2', 100, [], { slidingExpiration: false })
+    ok(storage.l1.entries.get('key1').expireAt <= Date.now() + 10 * 1000)
+    ok(storage.l1.entries.get('key2').expireAt > Date.now() + 99 * 1000)
+
+    // Ten seconds later, the L1 entry is gone and the read extends the expiry
+    expireIn(collection, 'v:key1', 90)
+    storage.l1.entries.get('key1').expireAt = Date.now()
+
+    strictEqual(await storage.get('key1'), 'value1')
+    ok(await storage.getTTL('key1') >= 99)
+    ok(storage.l1.entries.get('key1').expireAt <= Date.now() + 10 * 1000)
+  })
+
+  await t.test('should extend per key', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('key1', 'value1', 100, [], { slidingExpiration: true })
+    await storage.setMany([
+      { key: 'key2', value: 'value2', ttl: 100, slidingExpiration: true },
+      { key: 'key3', value: 'value3', ttl: 100 }
+    ])
+    for (const key of ['key1', 'key2', 'key3']) {
+      expireIn(collection, `v:${key}`, 10)
+    }
+
+    deepStrictEqual(await storage.getMany(['key1', 'key2', 'key3']), ['value1', 'value2', 'value3'])
+    ok(await storage.getTTL('key1') >= 99)
+    ok(await storage.getTTL('key2') >= 99)
+    ok(await storage.getTTL('key3') <= 10)
+  })
+
+  await t.test('should extend chunks with their value', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, chunkSize: 16, slidingExpiration: true })
+
+    await storage.set('key1', 'x'.repeat(100), 100)
+    expireIn(collection, '', 10)
+
+    await storage.getWithStatus('key1')
+    const expireAt = collection.data.get('v:key1').expireAt
+    ok(expireAt.getTime() > Date.now() + 99 * 1000)
+    for (const doc of collection.data.values()) {
+      if (doc._id.startsWith('c:')) {
+        deepStrictEqual(doc.expireAt, expireAt)
+      }
+    }
+  })
+
+  for (const referenceLayout of ['embedded', 'pair']) {
+    await t.test(`should keep references while the value slides (${referenceLayout})`, async () => {
+      const collection = new MockCollection()
+      const storage = new MongoStorage({ collection, referenceLayout, slidingExpiration: true })
+
+      await storage.set('key1', 'value1', 100, ['tenant:1', 'shared'])
+      await storage.set('key2', 'value2', 0, ['shared'])
+
+      // Read every 50 seconds for 200 seconds, while the TTL monitor sweeps expired documents
+      for (let i = 0; i < 4; i++) {
+        for (const [id, doc] of collection.data) {
+          if (doc.expireAt) {
+            doc.expireAt = new Date(doc.expireAt.getTime() - 50 * 1000)
+            if (doc.expireAt.getTime() <= Date.now()) {
+              collection.data.delete(id)
+            }
+          }
+        }
+        strictEqual(await storage.get('key1'), 'value1')
+      }
+
+      // A reference without expiry is not given one
+      if (referenceLayout === 'embedded') {
+        strictEqual(collection.data.get('r:shared').expireAt, undefined)
+      }
+
+      deepStrictEqual(await storage.invalidate('tenant:1'), { values: 1, references: 1 })
+      strictEqual(await storage.get('key1'), undefined)
+      strictEqual(await storage.get('key2'), 'value2')
+    })
+  }
+
+  await t.test('should not override a concurrent write', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    expireIn(collection, 'v:key1', 10)
+
+    // refresh() lands between the read and the extension
+    const findOne = collection.findOne.bind(collection)
+    collection.findOne = async (filter, options) => {
+      const doc = { ...await findOne(filter, options) }
+      collection.findOne = findOne
+      await storage.refresh('key1', 5)
+      return doc
+    }
+
+    await storage.get('key1')
+    ok(await storage.getTTL('key1') <= 5)
+  })
+
+  await t.test('should not extend expired values or values without expiry', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    expireIn(collection, 'v:key1', -1)
+    await storage.set('key2', 'value2', 0)
+
+    strictEqual(await storage.get('key1'), undefined)
+    strictEqual(await storage.get('key2'), 'value2')
+    strictEqual(collection.data.has('v:key1'), false)
+    strictEqual(collection.data.get('v:key2').expireAt, undefined)
+  })
+
+  await t.test('should still return the value when the extension fails', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, slidingExpiration: true })
+
+    await storage.set('key1', 'value1', 100)
+    expireIn(collection, 'v:key1', 10)
+    collection.bulkWrite = async () => {
+      throw new Error('write failed')
+    }
+
+    strictEqual(await storage.get('key1'), 'value1')
+  })
+})
+
+test('MongoStorage TTL policies and jitter', async (t) => {
+  // Lifetime of a stored document in seconds, with millisecond precision
+  const lifetime = (doc) => (doc.expireAt.getTime() - doc.createdAt.getTime()) / 1000
+
+  await t.test('should reject invalid options', () => {
+    for (const [options, message] of [
+      [{ ttlJitter: 1.5 }, 'ttlJitter must be a number between 0 and 1'],
+      [{ ttlPolicies: { 'user:*': { max: 0 } } }, 'ttlPolicies["user:*"].max must be a positive number']
+    ]) {
+      try {
+        new MongoStorage({ collection: new MockCollection(), ...options }) // eslint-disable-line no-new
+        ok(false, 'Should have thrown error')
+      } catch (error) {
+        strictEqual(error.message, message)
+      }
+    }
+  })
+
+  await t.test('should apply policies on set', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({
+      collection,
+      ttlPolicies: {
+        'session:*': { ttl: 1800 },
+        'user:*': { max: 60 },
+        'config:*': { min: 3600 }
+      }
+    })
+
+    await storage.set('session:1', 'value', 10)
+    await storage.set('user:1', 'value', 0)
+    await storage.set('config:1', 'value', 10)
+    await storage.set('other', 'value', 10)
+
+    ok(Math.abs(lifetime(collection.data.get('v:session:1')) - 1800) < 1)
+    ok(Math.abs(lifetime(collection.data.get('v:user:1')) - 60) < 1)
+    ok(Math.abs(lifetime(collection.data.get('v:config:1')) - 3600) < 1)
+    ok(Math.abs(lifetime(collection.data.get('v:other')) - 10) < 1)
+  })
+
+  await t.test('should apply policies on setMany and to references', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, ttlPolicies: { 'user:*': { max: 60 } } })
+
+    await storage.setMany([
+      { key: 'user:1', value: 'value1', ttl: 3600, references: ['users'] },
+      { key: 'post:1', value: 'value2', ttl: 3600 }
+    ])
+
+    ok(Math.abs(lifetime(collection.data.get('v:user:1')) - 60) < 1)
+    ok(Math.abs(lifetime(collection.data.get('v:post:1')) - 3600) < 1)
+    ok(collection.data.get('r:users').expireAt.getTime() <= Date.now() + 60 * 1000)
+  })
+
+  await t.test('should match keys before hashing and namespacing', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, namespace: 'app', ttlPolicies: { 'long:*': { ttl: 5 } } })
+
+    const key = 'long:' + 'x'.repeat(300)
+    await storage.set(key, 'value', 3600)
+    ok(await storage.getTTL(key) <= 5)
+  })
+
+  await t.test('should spread expiries with jitter', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, ttlJitter: 0.5 })
+
+    const lifetimes = new Set()
+    for (let i = 0; i < 20; i++) {
+      await storage.set(`key${i}`, 'value', 100)
+      const seconds = lifetime(collection.data.get(`v:key${i}`))
+      ok(seconds > 50 && seconds <= 100)
+      lifetimes.add(seconds)
+    }
+    ok(lifetimes.size > 1)
+  })
+
+  await t.test('should slide by the TTL without jitter', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({
+      collection,
+      ttlJitter: 0.5,
+      slidingExpiration: true,
+      ttlPolicies: { '*': { max: 100 } }
+    })
+
+    await storage.set('key1', 'value', 3600)
+    strictEqual(collection.data.get('v:key1').ttl, 100)
+  })
+
+  await t.test('should not expire values without TTL', async () => {
+    const collection = new MockCollection()
+    const storage = new MongoStorage({ collection, ttlJitter: 0.5 })
+
+    await storage.set('key1', 'value', 0)
+    strictEqual(collection.data.get('v:key1').expireAt, undefined)
+  })
+})
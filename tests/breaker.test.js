@@ -0,0 +1,88 @@
+'use strict'
+
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, rejects, throws } = require('node:assert')
+const { MongoNetworkError, MongoServerError, MongoOperationTimeoutError } = require('mongodb')
+const { CircuitBreaker, CircuitOpenError, isUnavailableError } = require('../lib/breaker')
+
+const fail = async () => { throw new MongoNetworkError('connection refused') }
+const succeed = async () => 'ok'
+
+test('isUnavailableError', async (t) => {
+  await t.test('should only match outages and open-circuit errors', () => {
+    strictEqual(isUnavailableError(new MongoNetworkError('down')), true)
+    strictEqual(isUnavailableError(new MongoServerError({ message: 'not primary', code: 10107 })), true)
+    strictEqual(isUnavailableError(new MongoOperationTimeoutError('Timed out')), true)
+    strictEqual(isUnavailableError(new MongoServerError({ message: 'operation exceeded time limit', code: 50 })), true)
+    strictEqual(isUnavailableError(new CircuitOpenError()), true)
+    strictEqual(isUnavailableError(new Error('softTTL must be a positive number')), false)
+  })
+
+  await t.test('should not match errors of the operation itself', () => {
+    strictEqual(isUnavailableError(new MongoServerError({ message: 'E11000 duplicate key error', code: 11000 })), false)
+    strictEqual(isUnavailableError(new MongoServerError({ message: 'Document failed validation', code: 121 })), false)
+    strictEqual(isUnavailableError(new MongoServerError({ message: 'unauthorized', code: 13 })), false)
+  })
+})
+
+test('CircuitBreaker', async (t) => {
+  await t.test('should open after threshold consecutive failures', async () => {
+    const transitions = []
+    const breaker = new CircuitBreaker({ threshold: 2 }, (state, previous) => transitions.push([previous, state]))
+
+    // A success resets the count of consecutive failures
+    await rejects(breaker.run(fail), MongoNetworkError)
+    strictEqual(await breaker.run(succeed), 'ok')
+    await rejects(breaker.run(fail), MongoNetworkError)
+    strictEqual(breaker.state, 'closed')
+    await rejects(breaker.run(fail), MongoNetworkError)
+
+    strictEqual(breaker.state, 'open')
+    deepStrictEqual(transitions, [['closed', 'open']])
+
+    let called = false
+    await rejects(breaker.run(async () => { called = true }), { name: 'CircuitOpenError', message: 'Circuit breaker is open' })
+    strictEqual(called, false)
+  })
+
+  await t.test('should not count usage errors as failures', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1 })
+
+    await rejects(breaker.run(async () => { throw new Error('invalid') }), { message: 'invalid' })
+    strictEqual(breaker.state, 'closed')
+    strictEqual(breaker.failures, 0)
+  })
+
+  await t.test('should probe once after the cooldown and close on success', async () => {
+    const transitions = []
+    const breaker = new CircuitBreaker({ threshold: 1, cooldown: 20 }, (state) => transitions.push(state))
+
+    await rejects(breaker.run(fail))
+    await new Promise(resolve => setTimeout(resolve, 30))
+
+    let release
+    const probe = breaker.run(() => new Promise(resolve => { release = resolve }))
+    strictEqual(breaker.state, 'halfOpen')
+    await rejects(breaker.run(succeed), CircuitOpenError)
+
+    release('done')
+    strictEqual(await probe, 'done')
+    strictEqual(breaker.state, 'closed')
+    deepStrictEqual(transitions, ['open', 'halfOpen', 'closed'])
+  })
+
+  await t.test('should reopen when the probe fails', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldown: 0 })
+
+    await rejects(breaker.run(fail))
+    await rejects(breaker.run(fail), MongoNetworkError)
+
+    strictEqual(breaker.state, 'open')
+    ok(breaker.openedAt <= Date.now())
+  })
+
+  await t.test('should reject invalid options', () => {
+    throws(() => new CircuitBreaker({ threshold: 0 }), { message: 'failOpen.threshold must be a positive integer' })
+    throws(() => new CircuitBreaker({ cooldown: -1 }), { message: 'failOpen.cooldown must be a non-negative number' })
+  })
+})
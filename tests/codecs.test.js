@@ -0,0 +1,80 @@
+'use strict'
+
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, throws } = require('node:assert')
+const v8 = require('v8')
+const { CODECS, resolveCodec, toBuffer, payloadFormat, payloadSize, toBytes, fromBytes } = require('../lib/codecs')
+
+test('codecs', async (t) => {
+  await t.test('bson should store values as-is', () => {
+    const value = { a: 1 }
+    strictEqual(CODECS.bson.serialize(value), value)
+    strictEqual(CODECS.bson.deserialize(value), value)
+  })
+
+  await t.test('json should decode a missing payload as undefined', () => {
+    strictEqual(CODECS.json.deserialize(CODECS.json.serialize(undefined)), undefined)
+    strictEqual(CODECS.json.deserialize(null), undefined)
+  })
+
+  await t.test('json should round-trip through a string', () => {
+    const data = CODECS.json.serialize({ $set: 1, 'a.b': [1, 2] })
+    strictEqual(typeof data, 'string')
+    deepStrictEqual(CODECS.json.deserialize(data), { $set: 1, 'a.b': [1, 2] })
+  })
+
+  await t.test('v8 should preserve Map, Set, BigInt and undefined', () => {
+    const value = { map: new Map([['a', 1]]), set: new Set([1, 2]), big: 10n ** 20n, none: undefined }
+    const data = CODECS.v8.serialize(value)
+    ok(Buffer.isBuffer(data))
+    deepStrictEqual(CODECS.v8.deserialize(data), value)
+  })
+
+  await t.test('v8 should decode BSON Binary-like payloads', () => {
+    const bytes = v8.serialize([1, 2, 3])
+    deepStrictEqual(CODECS.v8.deserialize({ buffer: new Uint8Array(bytes) }), [1, 2, 3])
+    deepStrictEqual(CODECS.v8.deserialize(new Uint8Array(bytes)), [1, 2, 3])
+  })
+
+  await t.test('toBuffer should respect the view offset', () => {
+    const bytes = new Uint8Array([0, 1, 2, 3]).subarray(1, 3)
+    deepStrictEqual([...toBuffer(bytes)], [1, 2])
+  })
+})
+
+test('resolveCodec', async (t) => {
+  await t.test('should resolve built-in codecs by name', () => {
+    strictEqual(resolveCodec('bson'), CODECS.bson)
+    strictEqual(resolveCodec('json'), CODECS.json)
+    strictEqual(resolveCodec('v8'), CODECS.v8)
+  })
+
+  await t.test('should accept a custom codec', () => {
+    const codec = { name: 'custom', serialize: String, deserialize: Number }
+    strictEqual(resolveCodec(codec), codec)
+  })
+
+  await t.test('should reject invalid serializers', () => {
+    throws(() => resolveCodec('msgpack'), { message: 'serializer must be one of: bson, json, v8, or a custom codec' })
+    throws(() => resolveCodec('toString'), { message: 'serializer must be one of: bson, json, v8, or a custom codec' })
+    throws(() => resolveCodec({ name: 'x', serialize: String }), { message: 'custom serializer must provide serialize and deserialize functions' })
+    throws(() => resolveCodec(null), { message: 'custom serializer must provide serialize and deserialize functions' })
+    throws(() => resolveCodec({ serialize: String, deserialize: String }), { message: 'custom serializer must have a name' })
+    throws(() => resolveCodec({ name: 'json', serialize: String, deserialize: String }), { message: 'custom serializer name "json" is reserved' })
+  })
+})
+
+test('payload bytes', async (t) => {
+  for (const [payload, format] of [
+    ['text', 'string'],
+    [Buffer.from([1, 2, 3]), 'binary'],
+    [{ a: 1, at: new Date(0) }, 'bson']
+  ]) {
+    await t.test(`should round-trip ${format} payloads`, () => {
+      strictEqual(payloadFormat(payload), format)
+      const bytes = toBytes(payload, format)
+      strictEqual(payloadSize(payload, format), bytes.byteLength)
+      deepStrictEqual(fromBytes(Buffer.from(bytes), format), payload)
+    })
+  }
+})
@@ -0,0 +1,72 @@
+'use strict'
+
+const crypto = require('crypto')
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, throws, rejects } = require('node:assert')
+const { resolveCompression, compress, decompress } = require('../lib/compression')
+
+test('resolveCompression', async (t) => {
+  await t.test('should be disabled by default', () => {
+    strictEqual(resolveCompression(undefined), null)
+    strictEqual(resolveCompression(false), null)
+  })
+
+  await t.test('should accept an algorithm name or true', () => {
+    deepStrictEqual(resolveCompression('brotli'), { algorithm: 'brotli', threshold: 1024, options: {} })
+    deepStrictEqual(resolveCompression(true), { algorithm: 'gzip', threshold: 1024, options: {} })
+  })
+
+  await t.test('should map level to algorithm options', () => {
+    deepStrictEqual(resolveCompression({ algorithm: 'deflate', threshold: 0, level: 9 }).options, { level: 9 })
+    ok(resolveCompression({ algorithm: 'brotli', level: 4 }).options.params)
+  })
+
+  await t.test('should reject invalid options', () => {
+    throws(() => resolveCompression('lz4'), { message: 'compression.algorithm must be one of: gzip, deflate, brotli' })
+    throws(() => resolveCompression({ threshold: -1 }), { message: 'compression.threshold must be a non-negative integer' })
+    throws(() => resolveCompression({ level: 'max' }), { message: 'compression.level must be an integer' })
+  })
+})
+
+test('compress/decompress', async (t) => {
+  const large = 'x'.repeat(4096)
+
+  await t.test('should skip payloads below the threshold', async () => {
+    strictEqual(await compress('small', resolveCompression('gzip')), null)
+    strictEqual(await compress({ a: 1 }, resolveCompression('gzip')), null)
+  })
+
+  await t.test('should skip payloads that do not shrink', async () => {
+    const random = crypto.randomBytes(4096)
+    strictEqual(await compress(random, resolveCompression('gzip')), null)
+  })
+
+  for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+    await t.test(`should round-trip strings with ${algorithm}`, async () => {
+      const { data, compression } = await compress(large, resolveCompression(algorithm))
+      deepStrictEqual(compression, { algorithm, format: 'string' })
+      ok(data.length < large.length)
+      strictEqual(await decompress(data, compression), large)
+    })
+  }
+
+  await t.test('should round-trip binary payloads', async () => {
+    const payload = Buffer.alloc(4096, 1)
+    const { data, compression } = await compress(payload, resolveCompression('gzip'))
+    strictEqual(compression.format, 'binary')
+    deepStrictEqual(await decompress(data, compression), payload)
+  })
+
+  await t.test('should round-trip BSON values, also from a BSON Binary-like payload', async () => {
+    const value = { text: large, date: new Date(0), list: [1, 2, 3] }
+    const { data, compression } = await compress(value, resolveCompression('gzip'))
+    strictEqual(compression.format, 'bson')
+    deepStrictEqual(await decompress({ buffer: new Uint8Array(data) }, compression), value)
+  })
+
+  await t.test('should reject unknown algorithms', async () => {
+    await rejects(decompress(Buffer.alloc(0), { algorithm: 'lz4', format: 'string' }), {
+      message: 'Unknown compression algorithm "lz4"'
+    })
+  })
+})
@@ -96,6 +96,16 @@ test('Integration: MongoStorage basic operations', async (t) => {
   })
 })
 
+test('Integration: MongoStorage indexes', async (t) => {
+  await t.test('should create and report the TTL index', async () => {
+    const storage = await MongoStorage.create({ collection })
+
+    const status = await storage.checkIndexes()
+    strictEqual(status.ok, true)
+    strictEqual(status.indexes[0].exists, true)
+  })
+})
+
 test('Integration: MongoStorage TTL operations', async (t) => {
   await t.test('should handle TTL correctly', async () => {
     const storage = new MongoStorage({ collection })
@@ -124,6 +134,20 @@ test('Integration: MongoStorage TTL operations', async (t) => {
     await storage.remove('refresh-test')
   })
 
+  await t.test('should treat expired entries as misses before the TTL monitor runs', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('expired-test', { data: 'test' }, 60)
+    await collection.updateOne(
+      { _id: 'v:expired-test' },
+      { $set: { expireAt: new Date(Date.now() - 1000) } }
+    )
+
+    strictEqual(await storage.get('expired-test'), undefined)
+    strictEqual(await storage.exists('expired-test'), false)
+    strictEqual(await collection.countDocuments({ _id: 'v:expired-test' }), 0)
+  })
+
   await t.test('should check if key exists', async () => {
     const storage = new MongoStorage({ collection })
 
@@ -137,6 +161,28 @@ test('Integration: MongoStorage TTL operations', async (t) => {
   })
 })
 
+test('Integration: MongoStorage batch operations', async (t) => {
+  await t.test('should set, get and remove many keys', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.setMany([
+      { key: 'batch-1', value: { id: 1 }, ttl: 60, references: ['batch:1'] },
+      { key: 'batch-2', value: { id: 2 }, ttl: 60, references: ['batch:1'] }
+    ])
+
+    deepStrictEqual(
+      await storage.getMany(['batch-2', 'batch-missing', 'batch-1']),
+      [{ id: 2 }, undefined, { id: 1 }]
+    )
+
+    await storage.removeMany(['batch-1', 'batch-2'])
+    deepStrictEqual(await storage.getMany(['batch-1', 'batch-2']), [undefined, undefined])
+
+    // Clean up
+    await storage.invalidate('batch:1')
+  })
+})
+
 test('Integration: MongoStorage references and invalidation', async (t) => {
   await t.test('should store and invalidate by reference', async () => {
     const storage = new MongoStorage({ collection })
@@ -198,6 +244,20 @@ test('Integration: MongoStorage references and invalidation', async (t) => {
     await storage.remove('item-3')
   })
 
+  await t.test('should report and preview invalidation results', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('result-1', { id: 1 }, 60, ['result:1'])
+    await storage.set('result-2', { id: 2 }, 60, ['result:2'])
+
+    const preview = await storage.invalidate('result:*', { dryRun: true })
+    deepStrictEqual(preview.keys.sort(), ['result-1', 'result-2'])
+    strictEqual(preview.values, 2)
+    deepStrictEqual(await storage.get('result-1'), { id: 1 })
+
+    deepStrictEqual(await storage.invalidate('result:*'), { values: 2, references: 2 })
+  })
+
   await t.test('should handle multiple references for one key', async () => {
     const storage = new MongoStorage({ collection })
 
@@ -213,6 +273,77 @@ test('Integration: MongoStorage references and invalidation', async (t) => {
   })
 })
 
+test('Integration: MongoStorage invalidation options', async (t) => {
+  await t.test('should not store references when invalidation is disabled', async () => {
+    const storage = new MongoStorage({ collection, invalidation: false })
+
+    await storage.set('no-refs', { data: 'test' }, 60, ['no-refs:1'])
+
+    strictEqual(await collection.countDocuments({ _id: 'r:no-refs:1' }), 0)
+
+    // Clean up
+    await storage.remove('no-refs')
+  })
+
+  await t.test('should apply referencesTTL to reference documents', async () => {
+    const storage = new MongoStorage({ collection, invalidation: { referencesTTL: 3600 } })
+
+    await storage.set('refs-ttl', { data: 'test' }, 10, ['refs-ttl:1'])
+
+    const ref = await collection.findOne({ _id: 'r:refs-ttl:1' })
+    ok(ref.expireAt.getTime() - Date.now() > 3000 * 1000)
+
+    // Clean up
+    await storage.invalidate('refs-ttl:1')
+  })
+})
+
+test('Integration: MongoStorage reference consistency', async (t) => {
+  await t.test('should unlink removed keys and prune expired ones', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('consistency-1', { id: 1 }, 60, ['consistency:1'])
+    await storage.set('consistency-2', { id: 2 }, 60, ['consistency:1'])
+    await storage.set('consistency-3', { id: 3 }, 60, ['consistency:1'])
+
+    await storage.remove('consistency-1')
+    let ref = await collection.findOne({ _id: 'r:consistency:1' })
+    deepStrictEqual(ref.keys.sort(), ['consistency-2', 'consistency-3'])
+
+    await collection.updateOne(
+      { _id: 'v:consistency-2' },
+      { $set: { expireAt: new Date(Date.now() - 1000) } }
+    )
+    await storage.pruneReferences()
+
+    ref = await collection.findOne({ _id: 'r:consistency:1' })
+    deepStrictEqual(ref.keys, ['consistency-3'])
+
+    // Clean up
+    await storage.invalidate('consistency:1')
+  })
+})
+
+test('Integration: MongoStorage pair reference layout', async (t) => {
+  await t.test('should invalidate by exact reference and pattern', async () => {
+    const storage = await MongoStorage.create({ collection, referenceLayout: 'pair' })
+
+    await storage.set('pair-1', { id: 1 }, 60, ['pair:1', 'pair-tenant:1'])
+    await storage.set('pair-2', { id: 2 }, 60, ['pair:2', 'pair-tenant:1'])
+    await storage.set('pair-3', { id: 3 }, 60, ['pair:3'])
+
+    await storage.invalidate('pair:1')
+    deepStrictEqual(
+      await storage.getMany(['pair-1', 'pair-2', 'pair-3']),
+      [undefined, { id: 2 }, { id: 3 }]
+    )
+
+    await storage.invalidate('pair*')
+    deepStrictEqual(await storage.getMany(['pair-2', 'pair-3']), [undefined, undefined])
+    strictEqual(await collection.countDocuments({ ref: { $regex: '^r:pair' } }), 0)
+  })
+})
+
 test('Integration: MongoStorage clear', async (t) => {
   await t.test('should clear all cache entries', async () => {
     const storage = new MongoStorage({ collection })
@@ -239,6 +370,241 @@ test('Integration: MongoStorage clear', async (t) => {
   })
 })
 
+test('Integration: MongoStorage namespaces', async (t) => {
+  await t.test('should isolate namespaces sharing a collection', async () => {
+    const orders = new MongoStorage({ collection, namespace: 'orders' })
+    const billing = new MongoStorage({ collection, namespace: 'billing' })
+
+    await orders.set('ns-key', { from: 'orders' }, 60, ['ns:1'])
+    await billing.set('ns-key', { from: 'billing' }, 60, ['ns:1'])
+
+    await orders.invalidate('ns:*')
+
+    strictEqual(await orders.get('ns-key'), undefined)
+    deepStrictEqual(await billing.get('ns-key'), { from: 'billing' })
+    ok((await billing.listNamespaces()).includes('billing'))
+
+    await billing.clearNamespace('billing')
+    strictEqual(await billing.get('ns-key'), undefined)
+  })
+})
+
+test('Integration: MongoStorage serializer', async (t) => {
+  await t.test('should round-trip values through the v8 and json codecs', async () => {
+    const v8Storage = new MongoStorage({ collection, serializer: 'v8' })
+    const jsonStorage = new MongoStorage({ collection, serializer: 'json' })
+    const value = { map: new Map([['a', 1]]), set: new Set([1]), big: 2n ** 64n }
+
+    await v8Storage.set('codec-v8', value, 60)
+    await jsonStorage.set('codec-json', { $where: 1 }, 60)
+
+    deepStrictEqual(await v8Storage.get('codec-v8'), value)
+    deepStrictEqual(await v8Storage.get('codec-json'), { $where: 1 })
+
+    await v8Storage.removeMany(['codec-v8', 'codec-json'])
+  })
+})
+
+test('Integration: MongoStorage compression', async (t) => {
+  await t.test('should compress large values and read them back', async () => {
+    const storage = new MongoStorage({ collection, compression: 'gzip' })
+    const value = { text: 'compressible '.repeat(500), at: new Date(0) }
+
+    await storage.set('compressed-key', value, 60)
+
+    const doc = await collection.findOne({ _id: 'v:compressed-key' })
+    deepStrictEqual(doc.compression, { algorithm: 'gzip', format: 'bson' })
+    deepStrictEqual(await storage.get('compressed-key'), value)
+
+    await storage.remove('compressed-key')
+  })
+})
+
+test('Integration: MongoStorage chunked values', async (t) => {
+  await t.test('should store values larger than 16MB', async () => {
+    const storage = new MongoStorage({ collection })
+    const value = { text: 'x'.repeat(20 * 1024 * 1024) }
+
+    await storage.set('chunked-key', value, 60, ['chunked:1'])
+
+    const doc = await collection.findOne({ _id: 'v:chunked-key' })
+    strictEqual(doc.chunks.count, 3)
+    deepStrictEqual(await storage.get('chunked-key'), value)
+
+    await storage.invalidate('chunked:1')
+    strictEqual(await collection.countDocuments({ parent: 'v:chunked-key' }), 0)
+  })
+})
+
+test('Integration: MongoStorage soft TTL', async (t) => {
+  await t.test('should serve stale values until the TTL expires them', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('soft-key', { data: 'test' }, 60, [], { softTTL: 1 })
+    deepStrictEqual(await storage.getWithStatus('soft-key'), { value: { data: 'test' }, status: 'fresh' })
+
+    await new Promise(resolve => setTimeout(resolve, 1100))
+    deepStrictEqual(await storage.getWithStatus('soft-key'), { value: { data: 'test' }, status: 'stale' })
+
+    await storage.remove('soft-key')
+  })
+})
+
+test('Integration: MongoStorage inspect', async (t) => {
+  await t.test('should describe a stored entry', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('inspect-key', { data: 'test' }, 60, ['inspect:1'])
+
+    const entry = await storage.inspect('inspect-key')
+    strictEqual(entry.id, 'v:inspect-key')
+    deepStrictEqual(entry.value, { data: 'test' })
+    deepStrictEqual(entry.references, ['inspect:1'])
+    strictEqual(entry.status, 'fresh')
+    ok(entry.size > 0)
+
+    await storage.remove('inspect-key')
+  })
+})
+
+test('Integration: MongoStorage metrics', async (t) => {
+  await t.test('should record hits, misses and latency', async () => {
+    const storage = new MongoStorage({ collection })
+
+    await storage.set('metrics-key', 'value', 60)
+    await storage.get('metrics-key')
+    await storage.get('metrics-missing')
+
+    const metrics = storage.metrics()
+    strictEqual(metrics.hits, 1)
+    strictEqual(metrics.misses, 1)
+    strictEqual(metrics.latency.get.count, 2)
+
+    await storage.remove('metrics-key')
+  })
+})
+
+test('Integration: MongoStorage tracing channels', async (t) => {
+  await t.test('should publish get events', async () => {
+    const channel = require('node:diagnostics_channel').tracingChannel('mongo-cache-dedupe:get')
+    const contexts = []
+    const handlers = { asyncEnd: (context) => contexts.push(context) }
+    channel.subscribe(handlers)
+
+    const storage = new MongoStorage({ collection })
+    await storage.set('traced-key', 'value', 60)
+    await storage.get('traced-key')
+    channel.unsubscribe(handlers)
+
+    strictEqual(contexts.length, 1)
+    strictEqual(contexts[0].key, 'traced-key')
+    strictEqual(contexts[0].hit, true)
+
+    await storage.remove('traced-key')
+  })
+})
+
+test('Integration: MongoStorage timeouts and retries', async (t) => {
+  await t.test('should run operations within their timeouts', async () => {
+    const storage = new MongoStorage({
+      collection,
+      timeouts: { read: 5000, write: 5000, invalidate: 5000 },
+      retry: true
+    })
+
+    await storage.set('timeout-key', 'value', 60, ['timeout:1'])
+    strictEqual(await storage.get('timeout-key'), 'value')
+    deepStrictEqual(await storage.getMany(['timeout-key']), ['value'])
+    deepStrictEqual(await storage.invalidate('timeout:1'), { values: 1, references: 1 })
+    strictEqual(await storage.get('timeout-key'), undefined)
+    strictEqual(storage.metrics().retries, 0)
+  })
+})
+
+test('Integration: MongoStorage read preference and concerns', async (t) => {
+  await t.test('should read, write and invalidate with per-kind settings', async () => {
+    const storage = new MongoStorage({
+      collection,
+      readPreference: { read: 'primaryPreferred' },
+      readConcern: { read: 'local' },
+      writeConcern: { write: { w: 1 }, invalidate: { w: 'majority' } }
+    })
+
+    await storage.set('concern-key', 'value', 60, ['concern:1'])
+    strictEqual(await storage.get('concern-key'), 'value')
+    deepStrictEqual(await storage.invalidate('concern:1'), { values: 1, references: 1 })
+    strictEqual(await storage.exists('concern-key'), false)
+  })
+})
+
+test('Integration: MongoStorage leases', async (t) => {
+  await t.test('should let one process compute a value while others wait', async () => {
+    const holder = new MongoStorage({ collection })
+    const waiter = new MongoStorage({ collection })
+
+    const token = await holder.acquireLease('lease-key', 10)
+    ok(token)
+    strictEqual(await waiter.acquireLease('lease-key', 10), null)
+
+    const waiting = waiter.waitForValue('lease-key', { interval: 10 })
+    await holder.set('lease-key', 'computed', 60)
+    strictEqual(await holder.releaseLease('lease-key', token), true)
+
+    strictEqual(await waiting, 'computed')
+    await holder.remove('lease-key')
+  })
+})
+
+test('Integration: MongoStorage capacity limits', async (t) => {
+  await t.test('should evict the least recently read values', async () => {
+    const storage = new MongoStorage({ collection, namespace: 'capacity', maxEntries: 2, evictionInterval: 0 })
+    await storage.ready()
+
+    await storage.set('key1', 'value1', 0, ['capacity:1'])
+    await storage.set('key2', 'value2', 0)
+    await storage.set('key3', 'value3', 0)
+    await collection.updateOne({ _id: 'n:capacity:v:key1' }, { $set: { accessedAt: new Date(0) } })
+
+    const result = await storage.evict()
+    strictEqual(result.values, 1)
+    strictEqual(result.references, 1)
+    strictEqual(await storage.get('key1'), undefined)
+    strictEqual(await storage.get('key2'), 'value2')
+
+    await storage.clear()
+  })
+})
+
+test('Integration: MongoStorage sliding expiration', async (t) => {
+  await t.test('should push back the expiry on read', async () => {
+    const storage = new MongoStorage({ collection, namespace: 'sliding', slidingExpiration: true })
+    await storage.ready()
+
+    await storage.set('key1', 'value1', 100)
+    await collection.updateOne({ _id: 'n:sliding:v:key1' }, { $set: { expireAt: new Date(Date.now() + 10000) } })
+
+    strictEqual(await storage.get('key1'), 'value1')
+    ok(await storage.getTTL('key1') >= 99)
+
+    await storage.clear()
+  })
+})
+
+test('Integration: MongoStorage TTL policies', async (t) => {
+  await t.test('should cap the TTL of matching keys', async () => {
+    const storage = new MongoStorage({ collection, namespace: 'ttl-policies', ttlPolicies: { 'user:*': { max: 60 } } })
+    await storage.ready()
+
+    await storage.set('user:1', 'value1', 3600)
+    await storage.set('post:1', 'value2', 3600)
+
+    ok(await storage.getTTL('user:1') <= 60)
+    ok(await storage.getTTL('post:1') > 60)
+
+    await storage.clear()
+  })
+})
+
 test('Integration: async-cache-dedupe integration', async (t) => {
   await t.test('should work with async-cache-dedupe using createStorage', async () => {
     // Create custom storage with MongoStorage
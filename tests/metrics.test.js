@@ -0,0 +1,96 @@
+'use strict'
+
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, throws } = require('node:assert')
+const { Metrics, toPrometheus } = require('../lib/metrics')
+
+test('Metrics', async (t) => {
+  await t.test('should start at zero', () => {
+    const snapshot = new Metrics().snapshot()
+    strictEqual(snapshot.hits, 0)
+    strictEqual(snapshot.hitRatio, 0)
+    deepStrictEqual(snapshot.errors, {})
+    deepStrictEqual(snapshot.latency, {})
+  })
+
+  await t.test('should count and compute the hit ratio', () => {
+    const metrics = new Metrics()
+    metrics.increment('hits', 3)
+    metrics.increment('misses')
+    metrics.error('get')
+    metrics.error('get')
+
+    const snapshot = metrics.snapshot()
+    strictEqual(snapshot.hits, 3)
+    strictEqual(snapshot.hitRatio, 0.75)
+    deepStrictEqual(snapshot.errors, { get: 2 })
+  })
+
+  await t.test('should record cumulative latency histograms', () => {
+    const metrics = new Metrics({ buckets: [0.01, 0.1] })
+    metrics.observe('get', 0.005)
+    metrics.observe('get', 0.05)
+    metrics.observe('get', 1)
+
+    deepStrictEqual(metrics.snapshot().latency.get, {
+      count: 3,
+      sum: 1.055,
+      buckets: [{ le: 0.01, count: 1 }, { le: 0.1, count: 2 }]
+    })
+  })
+
+  await t.test('should reset', () => {
+    const metrics = new Metrics()
+    metrics.increment('sets')
+    metrics.observe('set', 0.001)
+    metrics.reset()
+
+    strictEqual(metrics.snapshot().sets, 0)
+    deepStrictEqual(metrics.snapshot().latency, {})
+  })
+
+  await t.test('should reject invalid buckets', () => {
+    for (const buckets of [[], [0.1, 0.01], [0, 1], ['1']]) {
+      throws(() => new Metrics({ buckets }), {
+        message: 'latencyBuckets must be a non-empty, increasing list of positive numbers'
+      })
+    }
+  })
+})
+
+test('toPrometheus', async (t) => {
+  await t.test('should serialize counters, errors and histograms', () => {
+    const metrics = new Metrics({ buckets: [0.01, 0.1] })
+    metrics.increment('hits', 2)
+    metrics.increment('invalidatedValues', 5)
+    metrics.error('set')
+    metrics.observe('get', 0.005)
+    metrics.observe('get', 0.5)
+
+    const text = toPrometheus(metrics.snapshot())
+    const lines = text.split('\n')
+
+    ok(text.endsWith('\n'))
+    ok(lines.includes('# TYPE mongo_cache_hits_total counter'))
+    ok(lines.includes('mongo_cache_hits_total 2'))
+    ok(lines.includes('mongo_cache_invalidated_values_total 5'))
+    ok(lines.includes('mongo_cache_l1_hits_total 0'))
+    ok(lines.includes('mongo_cache_errors_total{operation="set"} 1'))
+    ok(lines.includes('# TYPE mongo_cache_operation_duration_seconds histogram'))
+    ok(lines.includes('mongo_cache_operation_duration_seconds_bucket{operation="get",le="0.01"} 1'))
+    ok(lines.includes('mongo_cache_operation_duration_seconds_bucket{operation="get",le="0.1"} 1'))
+    ok(lines.includes('mongo_cache_operation_duration_seconds_bucket{operation="get",le="+Inf"} 2'))
+    ok(lines.includes('mongo_cache_operation_duration_seconds_sum{operation="get"} 0.505'))
+    ok(lines.includes('mongo_cache_operation_duration_seconds_count{operation="get"} 2'))
+  })
+
+  await t.test('should apply the prefix and escaped labels', () => {
+    const metrics = new Metrics()
+    metrics.error('get')
+
+    const lines = toPrometheus(metrics.snapshot(), { prefix: 'app_cache', labels: { cache: 'a"b' } }).split('\n')
+
+    ok(lines.includes('app_cache_hits_total{cache="a\\"b"} 0'))
+    ok(lines.includes('app_cache_errors_total{cache="a\\"b",operation="get"} 1'))
+  })
+})
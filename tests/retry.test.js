@@ -0,0 +1,90 @@
+'use strict'
+
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, rejects, throws } = require('node:assert')
+const { MongoNetworkError, MongoServerError, MongoOperationTimeoutError } = require('mongodb')
+const { isTransientError, resolveRetry, backoff, withRetry } = require('../lib/retry')
+
+test('isTransientError', async (t) => {
+  await t.test('should match network and failover errors', () => {
+    strictEqual(isTransientError(new MongoNetworkError('connection reset')), true)
+    strictEqual(isTransientError(new MongoServerError({ message: 'not primary', code: 10107 })), true)
+    strictEqual(isTransientError(new MongoServerError({ message: 'stepped down', code: 189 })), true)
+
+    const labelled = new MongoServerError({ message: 'write failed', code: 1 })
+    labelled.addErrorLabel('RetryableWriteError')
+    strictEqual(isTransientError(labelled), true)
+  })
+
+  await t.test('should not match timeouts, server and usage errors', () => {
+    strictEqual(isTransientError(new MongoOperationTimeoutError('Timed out')), false)
+    strictEqual(isTransientError(new MongoServerError({ message: 'unauthorized', code: 13 })), false)
+    strictEqual(isTransientError(new Error('softTTL must be a positive number')), false)
+  })
+})
+
+test('resolveRetry', async (t) => {
+  await t.test('should apply defaults', () => {
+    strictEqual(resolveRetry(undefined), null)
+    strictEqual(resolveRetry(false), null)
+    strictEqual(resolveRetry({ retries: 0 }), null)
+    deepStrictEqual(resolveRetry(true), { retries: 2, minDelay: 50, maxDelay: 1000 })
+    deepStrictEqual(resolveRetry({ retries: 5, maxDelay: 200 }), { retries: 5, minDelay: 50, maxDelay: 200 })
+  })
+
+  await t.test('should reject invalid settings', () => {
+    throws(() => resolveRetry({ retries: -1 }), { message: 'retry.retries must be a non-negative integer' })
+    throws(() => resolveRetry({ minDelay: -5 }), { message: 'retry.minDelay must be a non-negative number' })
+    throws(() => resolveRetry({ minDelay: 100, maxDelay: 10 }), { message: 'retry.maxDelay must be a number no smaller than retry.minDelay' })
+  })
+})
+
+test('backoff', async (t) => {
+  await t.test('should grow exponentially up to maxDelay, with jitter', () => {
+    const settings = { retries: 10, minDelay: 10, maxDelay: 100 }
+    for (let i = 0; i < 50; i++) {
+      const first = backoff(1, settings)
+      const third = backoff(3, settings)
+      const tenth = backoff(10, settings)
+      strictEqual(first, 10)
+      ok(third >= 10 && third <= 40)
+      ok(tenth >= 10 && tenth <= 100)
+    }
+  })
+})
+
+test('withRetry', async (t) => {
+  const settings = { retries: 2, minDelay: 1, maxDelay: 1 }
+
+  await t.test('should retry transient errors until success', async () => {
+    let calls = 0
+    const retries = []
+    const result = await withRetry(async () => {
+      if (++calls < 3) {
+        throw new MongoNetworkError('connection reset')
+      }
+      return 'ok'
+    }, settings, (err, attempt) => retries.push([err.name, attempt]))
+
+    strictEqual(result, 'ok')
+    deepStrictEqual(retries, [['MongoNetworkError', 1], ['MongoNetworkError', 2]])
+  })
+
+  await t.test('should rethrow after the last retry', async () => {
+    let calls = 0
+    await rejects(withRetry(async () => {
+      calls++
+      throw new MongoNetworkError('connection reset')
+    }, settings), MongoNetworkError)
+    strictEqual(calls, 3)
+  })
+
+  await t.test('should rethrow other errors immediately', async () => {
+    let calls = 0
+    await rejects(withRetry(async () => {
+      calls++
+      throw new Error('invalid')
+    }, settings), { message: 'invalid' })
+    strictEqual(calls, 1)
+  })
+})
@@ -0,0 +1,84 @@
+'use strict'
+
+const { test } = require('node:test')
+const { deepStrictEqual, strictEqual, ok, throws } = require('node:assert')
+const { resolveTTLPolicies, applyTTLPolicy, resolveJitter, applyJitter } = require('../lib/ttl')
+
+test('resolveTTLPolicies', async (t) => {
+  await t.test('should keep declaration order', () => {
+    strictEqual(resolveTTLPolicies(undefined).length, 0)
+
+    const policies = resolveTTLPolicies({ 'user:*': { max: 60 }, '*': { ttl: 10 } })
+    deepStrictEqual(policies.map(policy => policy.pattern), ['user:*', '*'])
+    strictEqual(policies[0].max, 60)
+    strictEqual(policies[1].ttl, 10)
+  })
+
+  await t.test('should reject invalid policies', () => {
+    throws(() => resolveTTLPolicies({ 'a:*': { ttl: -1 } }), { message: 'ttlPolicies["a:*"].ttl must be a non-negative number' })
+    throws(() => resolveTTLPolicies({ 'a:*': { min: 0 } }), { message: 'ttlPolicies["a:*"].min must be a positive number' })
+    throws(() => resolveTTLPolicies({ 'a:*': { max: '60' } }), { message: 'ttlPolicies["a:*"].max must be a positive number' })
+    throws(() => resolveTTLPolicies({ 'a:*': { min: 60, max: 10 } }), { message: 'ttlPolicies["a:*"].min must be no greater than ttlPolicies["a:*"].max' })
+  })
+})
+
+test('applyTTLPolicy', async (t) => {
+  await t.test('should match whole keys with wildcards', () => {
+    const policies = resolveTTLPolicies({ 'user:*:profile': { ttl: 5 } })
+    strictEqual(applyTTLPolicy(policies, 'user:1:profile', 60), 5)
+    strictEqual(applyTTLPolicy(policies, 'user:1:profile:v2', 60), 60)
+    strictEqual(applyTTLPolicy(policies, 'admin:user:1:profile', 60), 60)
+  })
+
+  await t.test('should apply the first matching policy', () => {
+    const policies = resolveTTLPolicies({ 'user:*': { ttl: 5 }, '*': { ttl: 10 } })
+    strictEqual(applyTTLPolicy(policies, 'user:1', 60), 5)
+    strictEqual(applyTTLPolicy(policies, 'post:1', 60), 10)
+  })
+
+  await t.test('should cap and raise TTLs', () => {
+    const policies = resolveTTLPolicies({ '*': { min: 10, max: 100 } })
+    strictEqual(applyTTLPolicy(policies, 'key', 5), 10)
+    strictEqual(applyTTLPolicy(policies, 'key', 50), 50)
+    strictEqual(applyTTLPolicy(policies, 'key', 500), 100)
+    // No expiry is longer than any maximum
+    strictEqual(applyTTLPolicy(policies, 'key', 0), 100)
+  })
+
+  await t.test('should leave no expiry above a minimum', () => {
+    const policies = resolveTTLPolicies({ '*': { min: 10 } })
+    strictEqual(applyTTLPolicy(policies, 'key', 0), 0)
+  })
+
+  await t.test('should clamp an override', () => {
+    const policies = resolveTTLPolicies({ '*': { ttl: 0, max: 3600 } })
+    strictEqual(applyTTLPolicy(policies, 'key', 60), 3600)
+  })
+})
+
+test('resolveJitter', async (t) => {
+  await t.test('should default to no jitter', () => {
+    strictEqual(resolveJitter(undefined), 0)
+    strictEqual(resolveJitter(0.2), 0.2)
+  })
+
+  await t.test('should reject fractions outside [0, 1)', () => {
+    for (const jitter of [-0.1, 1, 10, '0.1']) {
+      throws(() => resolveJitter(jitter), { message: 'ttlJitter must be a number between 0 and 1' })
+    }
+  })
+})
+
+test('applyJitter', async (t) => {
+  await t.test('should shorten TTLs by up to the jitter', () => {
+    for (let i = 0; i < 100; i++) {
+      const ttl = applyJitter(100, 0.2)
+      ok(ttl > 80 && ttl <= 100)
+    }
+  })
+
+  await t.test('should leave exact and infinite TTLs alone', () => {
+    strictEqual(applyJitter(100, 0), 100)
+    strictEqual(applyJitter(0, 0.2), 0)
+  })
+})